@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+/**
+ * passtastic.js
+ *
+ * The command-line version of Passtastic, for terminals, scripts and SSH sessions. It calls
+ * Passtastic.getPasswordAsync() with the same defaults as passtastic.html, so the same inputs give
+ * the same password.
+ *
+ * The master password is prompted for on the terminal, without echo. If stdin isn't a terminal,
+ * its first line is read instead, eg:
+ *
+ *   passtastic --site github.com --user bob < master-password.txt
+ *
+ * An empty master password is refused with exit code 1, like any other error.
+ *
+ * The password is printed to stdout, or with --copy put on the clipboard (with pbcopy, clip,
+ * wl-copy, xclip or xsel, whichever is available).
+ */
+"use strict";
+
+var childProcess = require('child_process');
+var Passtastic = require('../html/js/Passtastic/passtastic.js');
+var SiteNormalizer = require('../html/js/Passtastic/site-normalizer.js');
+var packageJson = require('../package.json');
+
+var USAGE = [
+  'Usage: passtastic --site <site> --user <user name> [options]',
+  '',
+  'Options:',
+  '  --site <site>         The site, eg github.com',
+  '  --user <user name>    The user name on the site',
+  '  --length <n>          The length of the password, 4 to 64 (default: 16)',
+  '  --no-special          Use no special characters',
+  '  --special-chars <s>   The special characters that may be used (default: those of',
+  '                        the algorithm version)',
+  '  --forbidden <s>       Characters that must not be used',
+  '  --first-char <class>  The class of the first character: lower, upper, digit,',
+  '                        special, letter or alnum (default: any)',
+  '  --max-repeat <n>      How often a character may repeat in a row (default: no limit)',
+  '  --passphrase          Generate a passphrase of words instead of a password',
+  '  --words <n>           The number of words of the passphrase, 3 to 12 (default: 6)',
+  '  --separator <s>       Put between the words (default: -)',
+  '  --capitalize <c>      none, first (letter of each word) or all (default: none)',
+  '  --digit               Append a digit to one of the words',
+  '  --template <t>        Generate the password from a template, eg 9999 for a PIN or',
+  '                        Cvcc-9999. 9 digit, a/A letter, c/C consonant, v/V vowel, l any',
+  '                        letter, x letter or digit, X capital or digit, s special,',
+  '                        * any, \\ copies the next character',
+  '  --counter <n>         The generation of the password, raised to change it (default: 0)',
+  '  --algorithm <v>       The algorithm version, see below (default: 0.2)',
+  '  --kdf <kdf>           The hash function: bcrypt, scrypt or argon2id (default: bcrypt)',
+  '  --cost <n>            The bcrypt cost (default: 10)',
+  '  --memory <n>          The memory of scrypt or Argon2id in MiB (default: 16)',
+  '  --iterations <n>      The iterations of scrypt (its p) or Argon2id (default: 1 or 2)',
+  '  --normalize-site      Reduce the site to its domain, like "Domain only" on the page',
+  '  --alias-of <site>     Generate the password of <site>, which the site is an alias of',
+  '  --copy                Copy the password to the clipboard instead of printing it',
+  '  --version             Show the version of passtastic',
+  '  --help                Show this help',
+  '',
+  'Algorithm versions: ' + Passtastic.getAlgorithmVersions().map(function(algorithm) {
+    return algorithm.version;
+  }).join(', '),
+  '',
+  'The master password is prompted for, or read from stdin if that is not a terminal. It must not be empty.'
+].join('\n');
+
+/**
+ * The options that take a value, mapped to the functions that convert it
+ */
+var VALUE_OPTIONS = {
+  site : String,
+  user : String,
+  length : toInteger,
+  words : toInteger,
+  separator : String,
+  capitalize : String,
+  template : String,
+  counter : toInteger,
+  algorithm : String,
+  kdf : String,
+  cost : toInteger,
+  memory : toInteger,
+  iterations : toInteger,
+  'special-chars' : String,
+  forbidden : String,
+  'first-char' : String,
+  'max-repeat' : toInteger,
+  'alias-of' : String
+};
+
+/**
+ * The options that are switches, mapped to the property they set
+ */
+var FLAG_OPTIONS = {
+  'no-special' : 'noSpecial',
+  'normalize-site' : 'normalizeSite',
+  'passphrase' : 'passphrase',
+  'digit' : 'digit',
+  'copy' : 'copy',
+  'version' : 'version',
+  'help' : 'help'
+};
+
+/**
+ * The commands that put their stdin on the clipboard, in the order in which they're tried
+ */
+var CLIPBOARD_COMMANDS = {
+  darwin : [['pbcopy']],
+  win32 : [['clip']],
+  other : [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']]
+};
+
+function UsageError(message)
+{
+  this.message = message;
+}
+
+function toInteger(value)
+{
+  if(!/^\d+$/.test(value))
+    throw new UsageError('"' + value + '" is not a number.');
+
+  return parseInt(value, 10);
+}
+
+/*
+ * Parses the command-line arguments into an object with the options as properties
+ */
+function parseArguments(args)
+{
+  var options = {},
+      match, name, value;
+
+  for(var i = 0; i < args.length; i++) {
+    match = /^--([a-z\-]+)(?:=(.*))?$/.exec(args[i]);
+    if(!match)
+      throw new UsageError('Unexpected argument "' + args[i] + '".');
+    name = match[1];
+
+    if(FLAG_OPTIONS.hasOwnProperty(name)) {
+      if(match[2] !== undefined)
+        throw new UsageError('--' + name + ' takes no value.');
+      options[FLAG_OPTIONS[name]] = true;
+    } else if(VALUE_OPTIONS.hasOwnProperty(name)) {
+      value = match[2] !== undefined ? match[2] : args[++i];
+      if(value === undefined)
+        throw new UsageError('--' + name + ' needs a value.');
+      options[name] = VALUE_OPTIONS[name](value);
+    } else {
+      throw new UsageError('Unknown option --' + name + '.');
+    }
+  }
+
+  return options;
+}
+
+/*
+ * Builds the character policy from the options, like passtastic.html does from its fields
+ */
+function getPolicy(options)
+{
+  var policy = {};
+
+  if(options['special-chars'])
+    policy.specialChars = options['special-chars'];
+  if(options.forbidden)
+    policy.forbidden = options.forbidden;
+  if(options['first-char'] && options['first-char'] !== 'any')
+    policy.positions = { 0 : options['first-char'] };
+  if(options['max-repeat'])
+    policy.maxRepeat = options['max-repeat'];
+
+  return policy;
+}
+
+/*
+ * Gets the parameters of scrypt or Argon2id from --memory and --iterations, like passtastic.html does from
+ * its fields. Missing ones take the defaults, which are the page's defaults as well.
+ */
+function getKdfParams(options)
+{
+  var params = {},
+      r;
+
+  if(options.kdf === 'scrypt') {
+    r = Passtastic.getKdfs().filter(function(kdf) {
+      return kdf.kdf === 'scrypt';
+    })[0].params.r.defaultValue;
+    if(options.memory !== undefined)
+      params.N = options.memory * 1024 * 1024 / (128 * r);
+    if(options.iterations !== undefined)
+      params.p = options.iterations;
+  } else {
+    if(options.memory !== undefined)
+      params.memory = options.memory * 1024;
+    if(options.iterations !== undefined)
+      params.iterations = options.iterations;
+  }
+
+  return params;
+}
+
+/*
+ * Gets the site alias table for --alias-of. Like the page, it looks up the site after --normalize-site, and with
+ * it stores the domain of the aliased site.
+ */
+function getSiteAliases(options)
+{
+  var aliases = {},
+      site = options['alias-of'];
+
+  if(site === undefined)
+    return undefined;
+
+  if(options.normalizeSite)
+    site = SiteNormalizer.normalize(site);
+  aliases[Passtastic.getSite(options.site, { normalizeSite : !!options.normalizeSite }).replace(/^\s+|\s+$/g, '').toLowerCase()] = site.replace(/^\s+|\s+$/g, '').toLowerCase();
+
+  return aliases;
+}
+
+/*
+ * Prompts for the master password on the terminal without echoing it
+ */
+function promptMasterPw()
+{
+  var stdin = process.stdin;
+
+  return new Promise(function(resolve, reject) {
+    var masterPw = '';
+
+    function finish(error) {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      process.stderr.write('\n');
+
+      if(error)
+        reject(error);
+      else
+        resolve(masterPw);
+    }
+
+    function onData(chunk) {
+      var chars = Array.from(chunk),
+          c;
+
+      for(var i = 0; i < chars.length; i++) {
+        c = chars[i];
+
+        if(c === '\r' || c === '\n' || c === '\u0004') //Enter or Ctrl-D
+          return finish();
+        if(c === '\u0003') //Ctrl-C
+          return finish(new Error('Aborted.'));
+        if(c === '\u007f' || c === '\b')
+          masterPw = Array.from(masterPw).slice(0, -1).join('');
+        else
+          masterPw += c;
+      }
+    }
+
+    process.stderr.write('Master password: ');
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+/*
+ * Reads the master password from the first line of stdin
+ */
+function readMasterPw()
+{
+  return new Promise(function(resolve, reject) {
+    var input = '';
+
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', function(chunk) {
+      input += chunk;
+    });
+    process.stdin.on('end', function() {
+      resolve(input.split(/\r?\n/)[0]);
+    });
+    process.stdin.on('error', reject);
+  });
+}
+
+/*
+ * Puts text on the clipboard with the first command in commands that is available
+ */
+function copyToClipboard(text, commands)
+{
+  if(!commands.length)
+    return Promise.reject(new Error('No clipboard command found. Install ' + CLIPBOARD_COMMANDS.other.map(function(command) {
+      return command[0];
+    }).join(', ') + ' or leave out --copy.'));
+
+  return new Promise(function(resolve, reject) {
+    //Some of the commands keep running to serve the clipboard, so we only wait for them to exit and keep their
+    // output streams out of our process
+    var child = childProcess.spawn(commands[0][0], commands[0].slice(1), { stdio : ['pipe', 'ignore', 'ignore'] });
+
+    child.on('error', function(error) {
+      if(error.code === 'ENOENT')
+        resolve(copyToClipboard(text, commands.slice(1)));
+      else
+        reject(error);
+    });
+    child.on('exit', function(code) {
+      if(code === 0)
+        resolve();
+      else
+        reject(new Error(commands[0][0] + ' failed with exit code ' + code + '.'));
+    });
+    child.stdin.on('error', function() {}); //Reported by the error or exit handler
+    child.stdin.end(text);
+  });
+}
+
+function main(args)
+{
+  var options;
+
+  try {
+    options = parseArguments(args);
+    if(!options.help && !options.version && (options.site === undefined || options.user === undefined))
+      throw new UsageError('--site and --user are required.');
+    if((options.memory !== undefined || options.iterations !== undefined) && options.kdf !== 'scrypt' && options.kdf !== 'argon2id')
+      throw new UsageError('--memory and --iterations need --kdf scrypt or --kdf argon2id.');
+    if(options.cost !== undefined && options.kdf !== undefined && options.kdf !== 'bcrypt')
+      throw new UsageError('--cost is for bcrypt, use --memory and --iterations with ' + options.kdf + '.');
+    if(!options.passphrase && (options.words !== undefined || options.separator !== undefined || options.capitalize !== undefined || options.digit))
+      throw new UsageError('--words, --separator, --capitalize and --digit need --passphrase.');
+  } catch(error) {
+    if(!(error instanceof UsageError))
+      throw error;
+
+    process.stderr.write('passtastic: ' + error.message + '\n\n' + USAGE + '\n');
+    process.exitCode = 2;
+    return;
+  }
+
+  if(options.help) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  if(options.version) {
+    process.stdout.write('passtastic ' + packageJson.version + '\n');
+    return;
+  }
+
+  (process.stdin.isTTY ? promptMasterPw() : readMasterPw()).then(function(masterPw) {
+    //Most likely a script whose input went missing, and the password of an empty one is anything but secret
+    if(!masterPw)
+      throw new Error('No master password was given.');
+
+    return Passtastic.getPasswordAsync(options.site, options.user, masterPw, {
+      useSpecialChars : !options.noSpecial,
+      length : options.length,
+      policy : getPolicy(options),
+      counter : options.counter,
+      version : options.algorithm,
+      kdf : options.kdf,
+      cost : options.cost,
+      kdfParams : options.kdf === 'scrypt' || options.kdf === 'argon2id' ? getKdfParams(options) : undefined,
+      normalizeSite : !!options.normalizeSite,
+      siteAliases : getSiteAliases(options),
+      passphrase : options.passphrase ? {
+        words : options.words,
+        separator : options.separator,
+        capitalize : options.capitalize,
+        digit : !!options.digit
+      } : null,
+      template : options.template
+    });
+  }).then(function(password) {
+    if(!options.copy)
+      return process.stdout.write(password + '\n');
+
+    return copyToClipboard(password, CLIPBOARD_COMMANDS[process.platform] || CLIPBOARD_COMMANDS.other).then(function() {
+      process.stderr.write('The password has been copied to the clipboard.\n');
+    });
+  }).catch(function(error) {
+    process.stderr.write('passtastic: ' + String(error.message || error).replace(/^Passtastic\.[^ ]+ - /, '') + '\n');
+    process.exitCode = 1;
+  });
+}
+
+main(process.argv.slice(2));
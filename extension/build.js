@@ -0,0 +1,74 @@
+/**
+ * build.js
+ *
+ * Copies the Passtastic web app from html into extension/lib, so that the extension directory is
+ * complete:
+ *
+ *   npm run build:extension
+ *
+ * The popup loads the scripts it shares with passtastic.html from there, and the copy of the page is
+ * the extension's settings page. Since both are pages of the extension, they share its storage: the
+ * popup uses the profiles and site aliases that are set up on the settings page, rather than keeping
+ * its own.
+ *
+ * The directory can then be loaded as an unpacked extension (chrome://extensions in Chrome,
+ * about:debugging in Firefox), or zipped for the browsers' add-on stores. Run it again after
+ * changing the web app.
+ */
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+var webApp = require('../html/build.js');
+
+var SOURCE_DIR = path.join(__dirname, '..', 'html');
+var LIB_DIR = path.join(__dirname, 'lib');
+
+/*
+ * Deletes a directory with everything in it
+ */
+function removeDir(dir)
+{
+  fs.readdirSync(dir).forEach(function(file) {
+    var filePath = path.join(dir, file);
+
+    if(fs.statSync(filePath).isDirectory())
+      removeDir(filePath);
+    else
+      fs.unlinkSync(filePath);
+  });
+  fs.rmdirSync(dir);
+}
+
+function build()
+{
+  var manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.json'), 'utf8')),
+      version = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8')).version,
+      files = webApp.getFiles();
+
+  if(manifest.version !== version)
+    throw new Error('The version of manifest.json (' + manifest.version + ') differs from that of package.json (' + version + ').');
+
+  //Start over, so that files that are no longer part of the web app don't linger
+  if(fs.existsSync(LIB_DIR))
+    removeDir(LIB_DIR);
+
+  files.forEach(function(file) {
+    var target = path.join(LIB_DIR, file);
+
+    fs.mkdirSync(path.dirname(target), { recursive : true });
+    fs.copyFileSync(path.join(SOURCE_DIR, file), target);
+  });
+  //Generated rather than copied, so that it matches the files even if npm run build:pwa hasn't been run
+  fs.writeFileSync(path.join(LIB_DIR, webApp.BUILD_INFO), webApp.render());
+
+  console.log('Copied ' + files.length + ' files to ' + path.relative(process.cwd(), LIB_DIR) + '. Load ' +
+              path.relative(process.cwd(), __dirname) + ' as an unpacked extension, or zip it.');
+}
+
+try {
+  build();
+} catch(error) {
+  console.error('build.js: ' + error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,151 @@
+/**
+ * page-fields.js
+ *
+ * Injected into the active tab by the popup of the Passtastic extension (see popup.js). Finds the
+ * user name and password fields of the login, sign-up or change-password form on the page, and
+ * fills them in.
+ *
+ * Defines the global object PasstasticFields with the functions detect() and fill(). It lives in
+ * the extension's isolated world, so the page's scripts can't see or replace it.
+ */
+(function(global) {
+  "use strict";
+
+  var document = global.document;
+
+  var USER_NAME_SELECTOR = 'input:not([type]), input[type=text], input[type=email], input[type=tel]';
+
+  /*
+   * Tells whether the user could type into an input
+   */
+  function isUsable(input)
+  {
+    return !input.disabled && !input.readOnly && input.getClientRects().length > 0 &&
+           global.getComputedStyle(input).visibility !== 'hidden';
+  }
+
+  function getInputs(scope, selector)
+  {
+    return Array.prototype.filter.call(scope.querySelectorAll(selector), isUsable);
+  }
+
+  /*
+   * Gets the form to fill in: the one with the focus if it has a password field, otherwise the first
+   * one that has. Pages that don't put their fields in a form get the whole document.
+   */
+  function getScope()
+  {
+    var active = document.activeElement,
+        forms = document.forms;
+
+    if(active && active.form && getInputs(active.form, 'input[type=password]').length)
+      return active.form;
+
+    for(var i = 0; i < forms.length; i++) {
+      if(getInputs(forms[i], 'input[type=password]').length)
+        return forms[i];
+    }
+
+    return document;
+  }
+
+  /*
+   * Finds the fields to fill in, or returns null if there is no password field. The password fields
+   * are those the form marks as being for a new password (autocomplete="new-password"), so that the
+   * current password of a change-password form is left alone. Without marks, they are the only field
+   * of a login form, the password and confirmation of a sign-up form or, of three fields, the last two.
+   * The user name field is the one marked as such, or the last text field before the passwords.
+   */
+  function findFields()
+  {
+    var scope = getScope(),
+        passwords = getInputs(scope, 'input[type=password]'),
+        newPasswords = passwords.filter(function(input) {
+          return /\bnew-password\b/.test(input.getAttribute('autocomplete') || '');
+        }),
+        userNames = getInputs(scope, 'input[autocomplete~="username"], input[autocomplete~="email"]');
+
+    if(!passwords.length)
+      return null;
+
+    if(!userNames.length) {
+      userNames = getInputs(scope, USER_NAME_SELECTOR).filter(function(input) {
+        return passwords[0].compareDocumentPosition(input) & global.Node.DOCUMENT_POSITION_PRECEDING;
+      });
+    }
+
+    if(newPasswords.length)
+      passwords = newPasswords;
+    else if(passwords.length > 2)
+      passwords = passwords.slice(-2);
+
+    return {
+      userName : userNames.length ? userNames[userNames.length - 1] : null,
+      passwords : passwords,
+      isNewPassword : newPasswords.length > 0 || passwords.length === 2
+    };
+  }
+
+  /*
+   * Sets the value of an input the way typing does, so that the page's scripts notice it. Frameworks
+   * like React replace the value property of their inputs, so it's set with the original setter.
+   */
+  function setValue(input, value)
+  {
+    var setter = Object.getOwnPropertyDescriptor(global.HTMLInputElement.prototype, 'value').set;
+
+    input.focus();
+    setter.call(input, value);
+    input.dispatchEvent(new global.Event('input', { bubbles : true }));
+    input.dispatchEvent(new global.Event('change', { bubbles : true }));
+  }
+
+  /**
+   * Describes the fields on the page, for the popup.
+   *
+   * @return object|null - null if there is no password field. Otherwise an object with the properties
+   *         userName (the value of the user name field, or null if there is none), passwordCount (the number
+   *         of password fields that fill() fills) and isNewPassword (true for sign-up and change-password forms).
+   */
+  function detect()
+  {
+    var fields = findFields();
+
+    if(!fields)
+      return null;
+
+    return {
+      userName : fields.userName ? fields.userName.value : null,
+      passwordCount : fields.passwords.length,
+      isNewPassword : fields.isNewPassword
+    };
+  }
+
+  /**
+   * Fills in the password, and the user name if its field is empty.
+   *
+   * @param userName string
+   * @param password string
+   * @return integer - The number of password fields that were filled in, 0 if there are none (anymore)
+   */
+  function fill(userName, password)
+  {
+    var fields = findFields();
+
+    if(!fields)
+      return 0;
+
+    if(fields.userName && !fields.userName.value && userName)
+      setValue(fields.userName, userName);
+    fields.passwords.forEach(function(input) {
+      setValue(input, password);
+    });
+
+    return fields.passwords.length;
+  }
+
+  global.PasstasticFields = {
+    detect : detect,
+    fill : fill
+  };
+})(this);
@@ -0,0 +1,333 @@
+/**
+ * popup.js
+ *
+ * The popup of the Passtastic browser extension. It fills in the site from the address of the
+ * active tab, finds the login or sign-up fields on the page with page-fields.js, and fills the
+ * password into them once it has been generated. If the page has no password field, the browser
+ * doesn't let extensions into it, or it isn't on the site the password is for (anymore), the password
+ * is shown for copying instead.
+ *
+ * The password is generated in the popup like on passtastic.html, and the page only receives the
+ * result. The extension makes no network requests: its content security policy forbids them.
+ *
+ * The extension ships a copy of passtastic.html as its settings page (see build.js), which shares
+ * the popup's storage. The popup uses the profiles (see profile-store.js) and site aliases of the
+ * settings page, with all of their options, and finds a site's profile the same way. It only offers
+ * the most common settings itself; the others, like the character policy, passphrases and the hash
+ * function, are set up on the settings page.
+ */
+(function($) {
+  "use strict";
+
+  var MIN_LENGTH = 4, MAX_LENGTH = 64, DEFAULT_LENGTH = 16;
+  var FIELD_SCRIPT = 'page-fields.js';
+  var SETTINGS_PAGE = 'lib/passtastic.html';
+  var DEFAULT_COST = 10; //Of Passtastic, and of passtastic.html
+  var OTHER_SETTINGS = ['policy', 'passphrase', 'template', 'kdf', 'cost', 'kdfParams']; //Set up on the settings page
+
+  var api = typeof browser !== 'undefined' ? browser : chrome; //Firefox has browser, Chrome only chrome
+
+  var tab = null; //The active tab
+  var fields = null; //The fields on its page, as PasstasticFields.detect() describes them
+  var otherSettings = {}; //The settings of the site's profile that the popup has no fields for
+
+  /*
+   * Runs a function in the active tab, next to page-fields.js, and resolves with its result. The
+   * function is serialized, so it can only use its arguments and the page.
+   */
+  function runInTab(func, args)
+  {
+    return api.scripting.executeScript({ target : { tabId : tab.id }, func : func, args : args || [] }).then(function(results) {
+      return results && results[0] ? results[0].result : null;
+    });
+  }
+
+  function showInfo(message, isError)
+  {
+    $('#fieldInfo').text(message.replace(/^Passtastic\.[^ ]+ - /, '')).toggleClass('warning', !!isError);
+  }
+
+  /*
+   * Reads the generation counter, as on passtastic.html: anything but digits is returned as the text it
+   * is, which Passtastic.getPassword() rejects
+   */
+  function getCounter()
+  {
+    var counter = $.trim($('#counter').val());
+    return /^\d+$/.test(counter) ? parseInt(counter, 10) : counter;
+  }
+
+  /*
+   * Reads the site's profile (see profile-store.js) from the fields, keeping the settings of its
+   * stored profile that the popup has no fields for
+   */
+  function getProfile()
+  {
+    return $.extend({}, otherSettings, {
+      userName : $('#userName').val(),
+      normalizeSite : $('#normalizeSite').is(':checked'),
+      length : parseInt($('#pwLength').val(), 10),
+      useSpecialChars : !$('#noSpecChars').is(':checked'),
+      counter : getCounter(),
+      version : $('#algorithm').val()
+    });
+  }
+
+  function setProfile(profile)
+  {
+    if(profile.userName !== undefined)
+      $('#userName').val(profile.userName);
+    if(profile.normalizeSite !== undefined)
+      $('#normalizeSite').prop('checked', profile.normalizeSite);
+    if(profile.length !== undefined)
+      $('#pwLength').val(profile.length);
+    if(profile.useSpecialChars !== undefined)
+      $('#noSpecChars').prop('checked', !profile.useSpecialChars);
+    if(profile.counter !== undefined)
+      $('#counter').val(profile.counter);
+    if(profile.version !== undefined)
+      $('#algorithm').val(profile.version);
+  }
+
+  /*
+   * Describes the settings the popup has no fields for, so that it's clear they apply
+   */
+  function describeOtherSettings()
+  {
+    var descriptions = [];
+
+    if(otherSettings.passphrase)
+      descriptions.push(otherSettings.passphrase.words ? otherSettings.passphrase.words + '-word passphrase' : 'passphrase');
+    else if(otherSettings.template !== undefined && otherSettings.template !== null)
+      descriptions.push('template ' + otherSettings.template);
+    else if(otherSettings.policy && !$.isEmptyObject(otherSettings.policy))
+      descriptions.push('character policy');
+
+    if(otherSettings.kdf && otherSettings.kdf !== 'bcrypt')
+      descriptions.push(otherSettings.kdf);
+    else if(otherSettings.cost !== undefined && otherSettings.cost !== DEFAULT_COST)
+      descriptions.push('bcrypt cost ' + otherSettings.cost);
+
+    return descriptions.length ? 'Also: ' + descriptions.join(', ') : '';
+  }
+
+  /*
+   * Gets the options of Passtastic that decide how the site is hashed, like on passtastic.html
+   */
+  function getSiteOptions()
+  {
+    return {
+      normalizeSite : $('#normalizeSite').is(':checked'),
+      siteAliases : SiteAliases.getAll()
+    };
+  }
+
+  /*
+   * Gets the site as it is hashed, and as its profile is stored
+   */
+  function getSite()
+  {
+    return Passtastic.getSite($('#site').val(), getSiteOptions());
+  }
+
+  /*
+   * Looks up the profile of the site in the field like passtastic.html does, see ProfileStore.find()
+   */
+  function findProfile()
+  {
+    var siteAliases = SiteAliases.getAll();
+
+    return ProfileStore.find(Passtastic.getSite($('#site').val(), { siteAliases : siteAliases }),
+                             Passtastic.getSite($('#site').val(), { normalizeSite : true, siteAliases : siteAliases }));
+  }
+
+  /*
+   * Fills in the settings of a site's profile. Without one, the settings the popup has no fields for
+   * are the defaults of Passtastic.
+   */
+  function loadProfile(profile)
+  {
+    otherSettings = {};
+    if(profile) {
+      setProfile(profile);
+      OTHER_SETTINGS.forEach(function(field) {
+        if(profile[field] !== undefined)
+          otherSettings[field] = profile[field];
+      });
+    }
+
+    $('#settingsInfo').text(describeOtherSettings());
+  }
+
+  /*
+   * Fills in the site and the settings for the active tab, and looks for fields on its page
+   */
+  function init()
+  {
+    return api.tabs.query({ active : true, currentWindow : true }).then(function(tabs) {
+      var found;
+
+      tab = tabs[0];
+      if(!tab || !/^https?:/.test(tab.url || ''))
+        throw new Error('not a web page');
+
+      //The site as it would be entered on passtastic.html: the host name if that is what its profile
+      // was saved with, otherwise the domain
+      $('#site').val(SiteNormalizer.getHost(tab.url));
+      found = findProfile();
+      if(!found)
+        $('#site').val(SiteNormalizer.normalize(tab.url));
+      loadProfile(found);
+
+      return api.scripting.executeScript({ target : { tabId : tab.id }, files : [FIELD_SCRIPT] });
+    }).then(function() {
+      return runInTab(function() {
+        return PasstasticFields.detect();
+      });
+    }).then(function(result) {
+      fields = result;
+
+      if(!fields)
+        return showInfo('There is no password field on this page, so the password will be shown.');
+
+      if(fields.userName)
+        $('#userName').val(fields.userName);
+      $('#goBtn').text(fields.isNewPassword ? 'Fill in new password' : 'Fill in');
+    }).catch(function() {
+      fields = null;
+      showInfo('Passtastic can\'t fill in fields on this page, so the password will be shown.');
+    }).then(function() {
+      $($('#site').val() ? ($('#userName').val() ? '#masterPw' : '#userName') : '#site').focus();
+    });
+  }
+
+  /*
+   * Tells whether a page belongs to the site a password was generated for: its host name, or the
+   * registrable domain of it, must be that site after applying the aliases
+   */
+  function isPageOfSite(url, site, siteAliases)
+  {
+    if(!url || !/^https?:/.test(url))
+      return false;
+
+    return Passtastic.getSite(SiteNormalizer.getHost(url), { siteAliases : siteAliases }) === site ||
+           Passtastic.getSite(url, { normalizeSite : true, siteAliases : siteAliases }) === site;
+  }
+
+  /*
+   * Puts the password into the page's fields, or shows it if there are none. The tab may have gone
+   * to another page while the password was generated, and the site may have been edited, so the
+   * password is only filled in if the page still belongs to its site. Otherwise a page could get the
+   * password of another site.
+   */
+  function deliver(password, site, siteAliases)
+  {
+    if(!fields) {
+      showInfo('');
+      return Promise.resolve(false);
+    }
+
+    return api.tabs.get(tab.id).then(function(current) {
+      var host = SiteNormalizer.getHost(current.url || '');
+
+      if(!isPageOfSite(current.url, site, siteAliases)) {
+        showInfo('The page isn\'t on ' + site + ', so the password is shown instead.', true);
+        return false;
+      }
+
+      //Checked again in the page, in case it has moved on since
+      return runInTab(function(host, userName, password) {
+        return location.hostname.toLowerCase().replace(/\.+$/, '') === host ? PasstasticFields.fill(userName, password) : 0;
+      }, [host, $('#userName').val(), password]).then(function(count) {
+        if(!count) {
+          showInfo('');
+          return false;
+        }
+
+        showInfo(count > 1 ? 'The password and its confirmation have been filled in.' : 'The password has been filled in.');
+        return true;
+      });
+    }).catch(function() {
+      showInfo('');
+      return false;
+    });
+  }
+
+  function generate()
+  {
+    var profile = getProfile(),
+        siteOptions = getSiteOptions(),
+        site = getSite();
+
+    $('#goBtn').prop('disabled', true);
+    $('#output').hide().val('');
+    $('#counter').toggleClass('error', typeof profile.counter !== 'number');
+    showInfo('generating...');
+
+    Passtastic.getPasswordAsync($('#site').val(), profile.userName, $('#masterPw').val(), {
+      useSpecialChars : profile.useSpecialChars,
+      normalizeSite : siteOptions.normalizeSite,
+      siteAliases : siteOptions.siteAliases,
+      length : profile.length,
+      policy : profile.policy,
+      passphrase : profile.passphrase,
+      template : profile.template,
+      counter : profile.counter,
+      version : profile.version,
+      kdf : profile.kdf,
+      cost : profile.cost,
+      kdfParams : profile.kdfParams
+    }).then(function(password) {
+      if(site)
+        ProfileStore.set(site, profile);
+
+      return deliver(password, site, siteOptions.siteAliases).then(function(isFilledIn) {
+        if(isFilledIn)
+          return;
+
+        $('#output').val(password)
+                    .show()
+                    .focus()
+                    .select();
+      });
+    }, function(error) {
+      showInfo(error.message, true);
+    }).then(function() {
+      $('#goBtn').prop('disabled', false);
+    });
+  }
+
+  for(var i = MIN_LENGTH; i <= MAX_LENGTH; i++) {
+    $('<option>').val(i).text(i).prop('selected', i === DEFAULT_LENGTH).appendTo('#pwLength');
+  }
+  $.each(Passtastic.getAlgorithmVersions(), function(i, algorithm) {
+    $('<option>').val(algorithm.version)
+                 .text(algorithm.name + (algorithm.isLatest ? ' (latest)' : ''))
+                 .prop('selected', algorithm.isDefault)
+                 .appendTo('#algorithm');
+  });
+
+  $('#generator').submit(function(event) {
+    event.preventDefault();
+    generate();
+  });
+  $('#site, #normalizeSite, #userName, #masterPw, #pwLength, #noSpecChars, #algorithm, #counter').bind('change keydown', function() {
+    $('#output').hide();
+    $('#counter').removeClass('error');
+  });
+  //Like on passtastic.html, another site brings its own settings...
+  $('#site').bind('change keyup', function() {
+    loadProfile(findProfile());
+  });
+  //...and so does checking or unchecking "Domain only"
+  $('#normalizeSite').change(function() {
+    loadProfile(ProfileStore.get(getSite()));
+  });
+  $('#openSettings').click(function(event) {
+    event.preventDefault();
+    api.tabs.create({ url : api.runtime.getURL(SETTINGS_PAGE) });
+    window.close();
+  });
+
+  init();
+})(jQuery);
@@ -0,0 +1,119 @@
+/**
+ * build.js
+ *
+ * Records the files of the Passtastic web app with their SHA-256 hashes in js/Passtastic/build-info.js:
+ *
+ *   npm run build:pwa (or npm run build, which builds the extension as well)
+ *
+ * The files are passtastic.html, the scripts and icons it loads, the Web Worker with the scripts it
+ * imports, and the web app manifest with its icons. service-worker.js caches exactly these files for
+ * offline use, and only if their hashes match. The page shows the version and the build hash, which
+ * is the SHA-256 of the list of the files in the format of sha256sum, so it can be checked with
+ *
+ *   cd html && sha256sum <the files of build-info.js, in their order> | sha256sum
+ *
+ * build-info.js isn't checked in, since it changes with every change to the web app. Generate it before
+ * serving the page, eg when publishing a release, and again after changing any of the files.
+ */
+"use strict";
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var HTML_DIR = __dirname;
+var PAGE = 'passtastic.html';
+var MANIFEST = 'manifest.webmanifest';
+var WORKER = 'js/Passtastic/passtastic-worker.js'; //Passtastic loads it from next to passtastic.js
+var BUILD_INFO = 'js/Passtastic/build-info.js';
+
+function read(file)
+{
+  return fs.readFileSync(path.join(HTML_DIR, file));
+}
+
+function sha256(data)
+{
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/*
+ * Lists the files of the web app, relative to the html directory, in the order in which they are
+ * loaded. build-info.js is left out, since it can't contain its own hash.
+ */
+function getFiles()
+{
+  var page = read(PAGE).toString('utf8'),
+      worker = read(WORKER).toString('utf8'),
+      files = [PAGE],
+      tagPattern = /<(?:script|link)\b[^>]*\b(?:src|href)="([^"#:]+)"/g,
+      match;
+
+  function add(file)
+  {
+    if(file !== BUILD_INFO && files.indexOf(file) === -1)
+      files.push(file);
+  }
+
+  while((match = tagPattern.exec(page)))
+    add(match[1]);
+
+  JSON.parse(read(MANIFEST).toString('utf8')).icons.forEach(function(icon) {
+    add(icon.src);
+  });
+
+  add(WORKER);
+  match = /importScripts\(([^)]*)\)/.exec(worker);
+  (match ? match[1].match(/'[^']+'/g) : []).forEach(function(script) {
+    add(path.posix.join(path.posix.dirname(WORKER), script.slice(1, -1)));
+  });
+
+  return files;
+}
+
+/**
+ * Builds the content of build-info.js
+ */
+function render()
+{
+  var version = JSON.parse(fs.readFileSync(path.join(HTML_DIR, '..', 'package.json'), 'utf8')).version,
+      files = getFiles().map(function(file) {
+        return { path : file, sha256 : sha256(read(file)) };
+      }),
+      list = files.map(function(file) {
+        return file.sha256 + '  ' + file.path + '\n';
+      }).join('');
+
+  return '/**\n' +
+         ' * build-info.js\n' +
+         ' *\n' +
+         ' * Generated by html/build.js (npm run build:pwa), do not edit. The version of Passtastic, and the files\n' +
+         ' * of the web app with their SHA-256 hashes and the build hash. Defines the global PASSTASTIC_BUILD, in\n' +
+         ' * passtastic.html as well as in service-worker.js.\n' +
+         ' */\n' +
+         'self.PASSTASTIC_BUILD = ' + JSON.stringify({ version : version, hash : sha256(list), files : files }, null, 2) + ';\n';
+}
+
+function build()
+{
+  var content = render();
+
+  fs.writeFileSync(path.join(HTML_DIR, BUILD_INFO), content);
+  console.log('Wrote ' + path.relative(process.cwd(), path.join(HTML_DIR, BUILD_INFO)) + ', build hash ' +
+              /"hash": "([0-9a-f]+)"/.exec(content)[1] + '.');
+}
+
+if(require.main === module) {
+  try {
+    build();
+  } catch(error) {
+    console.error('build.js: ' + error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  BUILD_INFO : BUILD_INFO,
+  getFiles : getFiles,
+  render : render
+};
@@ -0,0 +1,507 @@
+/**
+ * argon2.js
+ *
+ * The Argon2id key derivation function (RFC 9106, version 0x13) for Passtastic, including the
+ * BLAKE2b hash (RFC 7693) it is built on. JavaScript has no 64-bit integers, so every 64-bit word
+ * is stored as two 32-bit words, least significant first.
+ *
+ * Like bCrypt.crypt_raw(), the memory is filled in slices of MAX_EXECUTION_TIME milliseconds so
+ * that a page stays responsive, and the progress is reported approx. 100 times.
+ *
+ * Exports the function argon2id() as a CommonJS module, or defines it as a global when loaded with a
+ * script tag. blake2b() is available as argon2id.blake2b.
+ */
+(function(root, factory) {
+  if(typeof module === 'object' && module.exports)
+    module.exports = factory();
+  else
+    root.argon2id = factory();
+})(this, function() {
+  "use strict";
+
+  var MAX_EXECUTION_TIME = 100;
+  var MAX_MEMORY = 1024 * 1024; //Refuse to use more than 1 GiB (in KiB, like the memory parameter)
+  var ARGON2_VERSION = 0x13;
+  var ARGON2_TYPE_ID = 2; //Argon2id
+  var SYNC_POINTS = 4; //Slices per pass
+  var BLOCK_WORDS = 256; //A 1024-byte block as 32-bit words
+  var ADDRESSES_PER_BLOCK = 128;
+
+  var BLAKE2B_IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+  ]);
+
+  //The BLAKE2b message schedule, with every index doubled to address 32-bit word pairs
+  var SIGMA = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+    11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+    7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+    9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+    2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+    12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+    13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+    6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+    10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+  ].map(function(index) {
+    return index * 2;
+  });
+
+  /*
+   * v[a] += v[b], for 64-bit words
+   */
+  function add64(v, a, b)
+  {
+    var lo = v[a] + v[b],
+        hi = v[a + 1] + v[b + 1];
+    if(lo >= 0x100000000)
+      hi++;
+    v[a] = lo;
+    v[a + 1] = hi;
+  }
+
+  /*
+   * v[a] += the 64-bit word (lo, hi)
+   */
+  function add64Const(v, a, lo, hi)
+  {
+    var resultLo = v[a] + lo,
+        resultHi = v[a + 1] + hi;
+    if(resultLo >= 0x100000000)
+      resultHi++;
+    v[a] = resultLo;
+    v[a + 1] = resultHi;
+  }
+
+  /*
+   * v[a] ^= v[b] and rotate the result right by n bits. n must be 16, 24, 32 or 63.
+   */
+  function xorRotr64(v, a, b, n)
+  {
+    var lo = v[a] ^ v[b],
+        hi = v[a + 1] ^ v[b + 1];
+
+    if(n === 32) {
+      v[a] = hi;
+      v[a + 1] = lo;
+    } else if(n === 63) { //Rotating right by 63 is rotating left by 1
+      v[a] = (lo << 1) | (hi >>> 31);
+      v[a + 1] = (hi << 1) | (lo >>> 31);
+    } else {
+      v[a] = (lo >>> n) | (hi << (32 - n));
+      v[a + 1] = (hi >>> n) | (lo << (32 - n));
+    }
+  }
+
+  /*
+   * The BLAKE2b mixing function G
+   */
+  function blake2bG(v, m, a, b, c, d, x, y)
+  {
+    add64(v, a, b);
+    add64Const(v, a, m[x], m[x + 1]);
+    xorRotr64(v, d, a, 32);
+    add64(v, c, d);
+    xorRotr64(v, b, c, 24);
+    add64(v, a, b);
+    add64Const(v, a, m[y], m[y + 1]);
+    xorRotr64(v, d, a, 16);
+    add64(v, c, d);
+    xorRotr64(v, b, c, 63);
+  }
+
+  /*
+   * The BLAKE2b compression function F, applied to the state h with the 128-byte block at offset
+   * in bytes. t is the number of bytes hashed so far, including this block.
+   */
+  function blake2bCompress(h, bytes, offset, t, isLast)
+  {
+    var v = new Uint32Array(32),
+        m = new Uint32Array(32),
+        i, s;
+
+    for(i = 0; i < 16; i++) {
+      v[i] = h[i];
+      v[i + 16] = BLAKE2B_IV[i];
+    }
+    v[24] ^= t;
+    v[25] ^= Math.floor(t / 0x100000000);
+    if(isLast) {
+      v[28] = ~v[28];
+      v[29] = ~v[29];
+    }
+
+    for(i = 0; i < 32; i++)
+      m[i] = bytes[offset + i*4] | (bytes[offset + i*4 + 1] << 8) | (bytes[offset + i*4 + 2] << 16) | (bytes[offset + i*4 + 3] << 24);
+
+    for(i = 0; i < 12; i++) {
+      s = i * 16;
+      blake2bG(v, m, 0, 8, 16, 24, SIGMA[s], SIGMA[s + 1]);
+      blake2bG(v, m, 2, 10, 18, 26, SIGMA[s + 2], SIGMA[s + 3]);
+      blake2bG(v, m, 4, 12, 20, 28, SIGMA[s + 4], SIGMA[s + 5]);
+      blake2bG(v, m, 6, 14, 22, 30, SIGMA[s + 6], SIGMA[s + 7]);
+      blake2bG(v, m, 0, 10, 20, 30, SIGMA[s + 8], SIGMA[s + 9]);
+      blake2bG(v, m, 2, 12, 22, 24, SIGMA[s + 10], SIGMA[s + 11]);
+      blake2bG(v, m, 4, 14, 16, 26, SIGMA[s + 12], SIGMA[s + 13]);
+      blake2bG(v, m, 6, 8, 18, 28, SIGMA[s + 14], SIGMA[s + 15]);
+    }
+
+    for(i = 0; i < 16; i++)
+      h[i] ^= v[i] ^ v[i + 16];
+  }
+
+  /*
+   * Calculates the unkeyed BLAKE2b hash of an array of bytes, with an output length of 1 to 64 bytes
+   */
+  function blake2b(bytes, outLength)
+  {
+    var h = new Uint32Array(BLAKE2B_IV),
+        block = new Uint8Array(128),
+        result = [],
+        offset = 0,
+        i;
+
+    h[0] ^= 0x01010000 ^ outLength;
+
+    //Every block but the last one
+    for(; bytes.length - offset > 128; offset += 128) {
+      for(i = 0; i < 128; i++)
+        block[i] = bytes[offset + i];
+      blake2bCompress(h, block, 0, offset + 128, false);
+    }
+
+    //The last block is padded with zeros. If the input is empty, it consists only of padding.
+    for(i = 0; i < 128; i++)
+      block[i] = offset + i < bytes.length ? bytes[offset + i] : 0;
+    blake2bCompress(h, block, 0, bytes.length, true);
+
+    for(i = 0; i < outLength; i++)
+      result.push((h[i >> 2] >>> (8 * (i & 3))) & 0xff);
+
+    return result;
+  }
+
+  /*
+   * Encodes a 32-bit integer as 4 little-endian bytes
+   */
+  function le32(n)
+  {
+    return [n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff];
+  }
+
+  /*
+   * The variable-length hash function H' of RFC 9106
+   */
+  function blake2bLong(bytes, outLength)
+  {
+    var input = le32(outLength).concat(bytes),
+        result = [],
+        v;
+
+    if(outLength <= 64)
+      return blake2b(input, outLength);
+
+    v = blake2b(input, 64);
+    while(outLength - result.length > 64) {
+      result = result.concat(v.slice(0, 32));
+      if(outLength - result.length > 64)
+        v = blake2b(v, 64);
+    }
+
+    return result.concat(blake2b(v, outLength - result.length));
+  }
+
+  /*
+   * The multiply-hardened BLAKE2b round function GB of Argon2:
+   * v[a] = v[a] + v[b] + 2 * lo(v[a]) * lo(v[b]), for 64-bit words
+   */
+  function fBlaMka(v, a, b)
+  {
+    var al = v[a], bl = v[b],
+        lo = Math.imul(al, bl) >>> 0,
+        hi = mulHi(al, bl),
+        sumLo;
+
+    hi = ((hi << 1) | (lo >>> 31)) >>> 0; //The product times 2
+    lo = (lo << 1) >>> 0;
+
+    sumLo = al + bl + lo;
+    v[a + 1] = v[a + 1] + v[b + 1] + hi + (sumLo >= 0x200000000 ? 2 : sumLo >= 0x100000000 ? 1 : 0);
+    v[a] = sumLo;
+  }
+
+  //The (a, b, c, d) arguments of the 8 applications of GB in P, first the columns, then the diagonals
+  var PERMUTATION_STEPS = [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15,
+                           0, 5, 10, 15, 1, 6, 11, 12, 2, 7, 8, 13, 3, 4, 9, 14];
+
+  /*
+   * The permutation P of Argon2 on the 16 64-bit words of v at the passed 32-bit word offsets
+   */
+  function permute(v, o)
+  {
+    for(var i = 0; i < 32; i += 4) {
+      var a = o[PERMUTATION_STEPS[i]], b = o[PERMUTATION_STEPS[i + 1]],
+          c = o[PERMUTATION_STEPS[i + 2]], d = o[PERMUTATION_STEPS[i + 3]];
+      fBlaMka(v, a, b);
+      xorRotr64(v, d, a, 32);
+      fBlaMka(v, c, d);
+      xorRotr64(v, b, c, 24);
+      fBlaMka(v, a, b);
+      xorRotr64(v, d, a, 16);
+      fBlaMka(v, c, d);
+      xorRotr64(v, b, c, 63);
+    }
+  }
+
+  //The offsets of the 64-bit words P is applied to: first the 8 rows of the block, then the 8 columns
+  var PERMUTATION_OFFSETS = [];
+  (function() {
+    var i, j, offsets;
+    for(i = 0; i < 8; i++) {
+      offsets = [];
+      for(j = 0; j < 16; j++)
+        offsets.push((16 * i + j) * 2);
+      PERMUTATION_OFFSETS.push(offsets);
+    }
+    for(i = 0; i < 8; i++) {
+      offsets = [];
+      for(j = 0; j < 8; j++)
+        offsets.push((2 * i + 16 * j) * 2, (2 * i + 16 * j + 1) * 2);
+      PERMUTATION_OFFSETS.push(offsets);
+    }
+  })();
+
+  /*
+   * The compression function G of Argon2: next = G(prev, ref), or next ^= G(prev, ref) if withXor.
+   * The blocks are offsets into memory, R and tmp are scratch space for one block each.
+   */
+  function fillBlock(memory, prev, ref, next, withXor, R, tmp)
+  {
+    var i;
+
+    for(i = 0; i < BLOCK_WORDS; i++) {
+      R[i] = memory[prev + i] ^ memory[ref + i];
+      tmp[i] = withXor ? R[i] ^ memory[next + i] : R[i];
+    }
+
+    for(i = 0; i < PERMUTATION_OFFSETS.length; i++)
+      permute(R, PERMUTATION_OFFSETS[i]);
+
+    for(i = 0; i < BLOCK_WORDS; i++)
+      memory[next + i] = tmp[i] ^ R[i];
+  }
+
+  /*
+   * The upper 32 bits of the product of two unsigned 32-bit integers
+   */
+  function mulHi(a, b)
+  {
+    var a0 = a & 0xffff, a1 = a >>> 16,
+        b0 = b & 0xffff, b1 = b >>> 16,
+        t = ((a0 * b0) >>> 16) + a1 * b0, //Multiplication with 16-bit digits, none of the sums overflows
+        u = (t & 0xffff) + a0 * b1;
+
+    return a1 * b1 + (t >>> 16) + (u >>> 16);
+  }
+
+  /*
+   * Derives dkLen bytes from a password and a salt (arrays of bytes, the salt at least 8 long)
+   * with Argon2id.
+   *
+   * params: { memory : in KiB; iterations : number of passes; parallelism : number of lanes;
+   *           secret, associatedData : optional arrays of bytes, K and X of RFC 9106, which Passtastic
+   *           doesn't use }
+   * callback: passed the derived key as an array of bytes
+   * progress: optional, called approx. 100 times while the key is derived
+   *
+   * Returns an object with a cancel() method, which stops the derivation without calling
+   * the callback.
+   */
+  function argon2id(password, salt, params, dkLen, callback, progress)
+  {
+    var lanes = params.parallelism, passes = params.iterations, memoryKiB = params.memory,
+        secret = params.secret || [], associatedData = params.associatedData || [];
+
+    if(lanes !== parseInt(lanes, 10) || lanes < 1 || lanes > 0xffffff)
+      throw "argon2id: parallelism must be an integer between 1 and 2^24-1";
+    if(passes !== parseInt(passes, 10) || passes < 1)
+      throw "argon2id: iterations must be a positive integer";
+    if(memoryKiB !== parseInt(memoryKiB, 10) || memoryKiB < 8 * lanes)
+      throw "argon2id: memory must be an integer of at least 8 KiB per lane";
+    if(memoryKiB > MAX_MEMORY)
+      throw "argon2id: The parameters require too much memory";
+    if(salt.length < 8)
+      throw "argon2id: The salt must be at least 8 bytes long";
+    if(dkLen < 4)
+      throw "argon2id: The output must be at least 4 bytes long";
+
+    var segmentLength = Math.floor(memoryKiB / (SYNC_POINTS * lanes)),
+        laneLength = segmentLength * SYNC_POINTS,
+        blockCount = laneLength * lanes,
+        memory = new Uint32Array(blockCount * BLOCK_WORDS),
+        R = new Uint32Array(BLOCK_WORDS),
+        tmp = new Uint32Array(BLOCK_WORDS),
+        zeroBlock = new Uint32Array(BLOCK_WORDS),
+        inputBlock = new Uint32Array(BLOCK_WORDS),
+        addressBlock = new Uint32Array(BLOCK_WORDS),
+        scratch = new Uint32Array(BLOCK_WORDS * 3), //zero, input and address blocks, for fillBlock()
+        totalBlocks = passes * blockCount,
+        onePercent = Math.floor(totalBlocks / 100) + 1,
+        processed = 0,
+        cancelled = false,
+        h0, block, lane, i,
+        //The position at which run() continues
+        pass = 0, slice = 0, curLane = 0, index = 0;
+
+    progress = progress || function() {};
+
+    h0 = blake2b([].concat(le32(lanes), le32(dkLen), le32(memoryKiB), le32(passes), le32(ARGON2_VERSION), le32(ARGON2_TYPE_ID),
+                           le32(password.length), Array.prototype.slice.call(password),
+                           le32(salt.length), Array.prototype.slice.call(salt),
+                           le32(secret.length), Array.prototype.slice.call(secret),
+                           le32(associatedData.length), Array.prototype.slice.call(associatedData)), 64);
+
+    //The first two blocks of each lane are derived from H0
+    for(lane = 0; lane < lanes; lane++) {
+      for(i = 0; i < 2; i++) {
+        block = blake2bLong(h0.concat(le32(i), le32(lane)), 1024);
+        loadBlock(block, (lane * laneLength + i) * BLOCK_WORDS);
+      }
+    }
+
+    function loadBlock(bytes, offset) {
+      for(var k = 0; k < BLOCK_WORDS; k++)
+        memory[offset + k] = bytes[k*4] | (bytes[k*4 + 1] << 8) | (bytes[k*4 + 2] << 16) | (bytes[k*4 + 3] << 24);
+    }
+
+    //Generates the next 128 pseudo-random addresses for data-independent addressing
+    function nextAddresses() {
+      inputBlock[12]++; //The counter in word 6
+      scratch.set(zeroBlock, 0);
+      scratch.set(inputBlock, BLOCK_WORDS);
+      fillBlock(scratch, 0, BLOCK_WORDS, 2 * BLOCK_WORDS, false, R, tmp);
+      fillBlock(scratch, 0, 2 * BLOCK_WORDS, 2 * BLOCK_WORDS, false, R, tmp);
+      addressBlock.set(scratch.subarray(2 * BLOCK_WORDS));
+    }
+
+    //Computes block number index of the current segment
+    function fillNextBlock(dataIndependent) {
+      var current = curLane * laneLength + slice * segmentLength + index,
+          previous = (current % laneLength === 0) ? current + laneLength - 1 : current - 1,
+          j1, j2, refLane, sameLane, areaSize, relative, start, refIndex;
+
+      if(dataIndependent) {
+        if(index % ADDRESSES_PER_BLOCK === 0)
+          nextAddresses();
+        j1 = addressBlock[(index % ADDRESSES_PER_BLOCK) * 2];
+        j2 = addressBlock[(index % ADDRESSES_PER_BLOCK) * 2 + 1];
+      } else {
+        j1 = memory[previous * BLOCK_WORDS];
+        j2 = memory[previous * BLOCK_WORDS + 1];
+      }
+
+      refLane = (pass === 0 && slice === 0) ? curLane : j2 % lanes;
+      sameLane = refLane === curLane;
+
+      //The blocks that may be referenced, see index_alpha() in the reference implementation
+      if(pass === 0) {
+        if(slice === 0)
+          areaSize = index - 1;
+        else if(sameLane)
+          areaSize = slice * segmentLength + index - 1;
+        else
+          areaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+      } else {
+        if(sameLane)
+          areaSize = laneLength - segmentLength + index - 1;
+        else
+          areaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+      }
+
+      relative = areaSize - 1 - mulHi(areaSize, mulHi(j1, j1));
+      start = (pass === 0 || slice === SYNC_POINTS - 1) ? 0 : (slice + 1) * segmentLength;
+      refIndex = (start + relative) % laneLength;
+
+      fillBlock(memory, previous * BLOCK_WORDS, (refLane * laneLength + refIndex) * BLOCK_WORDS, current * BLOCK_WORDS, pass > 0, R, tmp);
+    }
+
+    //Fills the memory pass by pass, slice by slice and lane by lane, one time slice at a time
+    function run() {
+      if(cancelled)
+        return;
+
+      var startTime = new Date(), dataIndependent, k;
+
+      while(pass < passes) {
+        dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+
+        if(index === 0) { //Start of a segment
+          if(dataIndependent) {
+            inputBlock.set(zeroBlock);
+            inputBlock[0] = pass;
+            inputBlock[2] = curLane;
+            inputBlock[4] = slice;
+            inputBlock[6] = blockCount;
+            inputBlock[8] = passes;
+            inputBlock[10] = ARGON2_TYPE_ID;
+          }
+
+          if(pass === 0 && slice === 0) { //The first two blocks of each lane are already there
+            if(dataIndependent)
+              nextAddresses();
+            index = 2;
+            processed += 2;
+          }
+        }
+
+        for(; index < segmentLength; index++) {
+          fillNextBlock(dataIndependent);
+
+          if(++processed % onePercent === 0)
+            progress();
+
+          if(processed % 16 === 0 && (new Date() - startTime) > MAX_EXECUTION_TIME) {
+            index++;
+            setTimeout(run, 0);
+            return;
+          }
+        }
+
+        //On to the next segment
+        index = 0;
+        if(++curLane === lanes) {
+          curLane = 0;
+          if(++slice === SYNC_POINTS) {
+            slice = 0;
+            pass++;
+          }
+        }
+      }
+
+      //The result is the hash of the XOR of the last block of each lane
+      var finalBlock = new Uint32Array(BLOCK_WORDS), bytes = [];
+      for(lane = 0; lane < lanes; lane++) {
+        for(k = 0; k < BLOCK_WORDS; k++)
+          finalBlock[k] ^= memory[(lane * laneLength + laneLength - 1) * BLOCK_WORDS + k];
+      }
+      for(k = 0; k < BLOCK_WORDS; k++)
+        bytes.push(finalBlock[k] & 0xff, (finalBlock[k] >>> 8) & 0xff, (finalBlock[k] >>> 16) & 0xff, (finalBlock[k] >>> 24) & 0xff);
+
+      callback(blake2bLong(bytes, dkLen));
+    }
+
+    setTimeout(run, 0);
+
+    return {
+      cancel : function() {
+        cancelled = true;
+      }
+    };
+  }
+
+  argon2id.blake2b = blake2b;
+  return argon2id;
+});
@@ -11,6 +11,10 @@
  * - The method bCrypt.gensalt() has been removed.
  * - The Clipperz and MochiKit libraries, which were included to allow Clipperz PRNG
  *   support, have been removed.
+ * - The method bCrypt.cancel() has been added, which stops a running crypt_raw()
+ *   without calling its callback.
+ * - The constructor is exported as a CommonJS module, or defined as the global
+ *   bCrypt when loaded with a script tag.
  *   
  * The original jsBCrypt can be found at https://code.google.com/p/javascript-bcrypt/
  * 
@@ -42,6 +46,12 @@
  * OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED 
  * OF THE POSSIBILITY OF SUCH DAMAGE.
  */
+(function(root, factory) {
+	if(typeof module === 'object' && module.exports)
+		module.exports = factory();
+	else
+		root.bCrypt = factory();
+})(this, function() {
 
 function bCrypt() {
 	this.BCRYPT_SALT_LEN = 16;
@@ -276,6 +286,7 @@ function bCrypt() {
 	this.S;
 	this.lr;
 	this.offp;
+	this.cancelled = false;
 };
 bCrypt.prototype.getByte = function(c) {
 	var ret = 0;
@@ -469,7 +480,7 @@ bCrypt.prototype.crypt_raw = function(password, salt, log_rounds, callback, prog
 	if (salt.length != this.BCRYPT_SALT_LEN)
 		throw "Bad salt length";
 
-	rounds = 1 << log_rounds;
+	rounds = Math.pow(2, log_rounds); //1 << 31 would be negative
 	one_percent = Math.floor(rounds / 100) + 1;
 	this.init_key();
 	this.ekskey(salt, password);
@@ -477,6 +488,9 @@ bCrypt.prototype.crypt_raw = function(password, salt, log_rounds, callback, prog
 	var obj = this;
 	var i = 0;
 	setTimeout(function(){
+		if(obj.cancelled){
+			return;
+		}
 		if(i < rounds){
 			var start = new Date();
 			for (; i < rounds;) {
@@ -486,7 +500,7 @@ bCrypt.prototype.crypt_raw = function(password, salt, log_rounds, callback, prog
 		                if(i % one_percent == 0){
 			        	progress();
                 		}
-		                if((new Date() - start) > obj.MAX_EXECUTION_TIME){
+		                if((new Date() - start) > obj.MAX_EXECUTION_TIME || obj.cancelled){
                     			break;
 		                }
             		}
@@ -508,6 +522,13 @@ bCrypt.prototype.crypt_raw = function(password, salt, log_rounds, callback, prog
         	}
     	}, 0);
 };
+/*
+ * Stops a running crypt_raw() or hashpw() after the current time slice. The
+ * callback of the cancelled call is never called.
+ */
+bCrypt.prototype.cancel = function() {
+	this.cancelled = true;
+};
 /*
  * callback: a function that will be passed the hash when it is complete
  * progress: optional - this function will be called every time 1% of hashing
@@ -565,3 +586,6 @@ bCrypt.prototype.hashpw = function(password, salt, callback, progress) {
 	        callback(rs.join(''));
 	}, progress);
 };
+
+return bCrypt;
+});
@@ -0,0 +1,8 @@
+/**
+ * bCrypt-nodeps.mjs
+ *
+ * The ES module version of bCrypt-nodeps.js, for Node.js and bundlers.
+ */
+import bCrypt from './bCrypt-nodeps.js';
+
+export default bCrypt;
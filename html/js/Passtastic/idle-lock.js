@@ -0,0 +1,148 @@
+/**
+ * idle-lock.js
+ *
+ * Tells the page when to wipe its secrets: after a while without user activity, when the tab is
+ * hidden, and when the user presses Esc twice in quick succession (the panic shortcut). What
+ * gets wiped is up to the page, see start().
+ *
+ * Idle time is measured from timestamps rather than with a single timer, so that time spent with
+ * the computer asleep counts as well.
+ *
+ * The settings are stored in localStorage. Browsers may refuse access to it (eg for file:// pages),
+ * in which case the defaults are used.
+ *
+ * Defines the global object IdleLock with the functions start(), lock(), getDelay(), setDelay(),
+ * isLockedWhenHidden() and setLockedWhenHidden().
+ */
+(function(global) {
+  "use strict";
+
+  var DELAY_KEY = 'passtastic.lockDelay';
+  var HIDDEN_KEY = 'passtastic.lockWhenHidden';
+  var DEFAULT_DELAY = 300; //In seconds
+  var CHECK_INTERVAL = 1000; //In ms, how often the idle time is checked
+  var PANIC_INTERVAL = 1000; //In ms, the longest time between the two presses of Esc
+  var ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel', 'input'];
+
+  var onLock = null; //The page's callback, once started
+  var lastActivity = 0; //When the user last did something, in ms since the epoch
+  var lastEscape = 0; //When Esc was last pressed
+
+  function read(key)
+  {
+    try {
+      return global.localStorage.getItem(key);
+    } catch(error) {
+      return null;
+    }
+  }
+
+  function save(key, value)
+  {
+    try {
+      global.localStorage.setItem(key, String(value));
+    } catch(error) {}
+  }
+
+  function onActivity(event)
+  {
+    var now = new Date().getTime();
+
+    if(event.type === 'keydown' && (event.key === 'Escape' || event.keyCode === 27)) {
+      if(now - lastEscape <= PANIC_INTERVAL) {
+        lastEscape = 0;
+        lock('panic');
+      } else {
+        lastEscape = now;
+      }
+    }
+
+    lastActivity = now;
+  }
+
+  function checkIdle()
+  {
+    var delay = getDelay();
+
+    if(delay && new Date().getTime() - lastActivity >= delay * 1000) {
+      lastActivity = new Date().getTime(); //So that it's locked once per idle period
+      lock('idle');
+    }
+  }
+
+  function onVisibilityChange()
+  {
+    if(global.document.hidden && isLockedWhenHidden())
+      lock('hidden');
+  }
+
+  /**
+   * Starts watching the user's activity.
+   *
+   * @param callback function - Called when the page should wipe its secrets, with the reason: 'idle',
+   *        'hidden', 'panic' or whatever was passed to lock()
+   */
+  function start(callback)
+  {
+    var document = global.document;
+
+    if(onLock)
+      throw new Error('IdleLock.start() - IdleLock has already been started.');
+
+    onLock = callback;
+    lastActivity = new Date().getTime();
+
+    for(var i = 0; i < ACTIVITY_EVENTS.length; i++)
+      document.addEventListener(ACTIVITY_EVENTS[i], onActivity, true);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    global.setInterval(checkIdle, CHECK_INTERVAL);
+  }
+
+  /**
+   * Has the page wipe its secrets right away.
+   *
+   * @param reason string - Optional, passed to the callback. Defaults to 'manual'.
+   */
+  function lock(reason)
+  {
+    if(onLock)
+      onLock(reason || 'manual');
+  }
+
+  /*
+   * Gets the idle time in seconds after which the page is locked, 0 for never
+   */
+  function getDelay()
+  {
+    var delay = parseInt(read(DELAY_KEY), 10);
+    return (isNaN(delay) || delay < 0) ? DEFAULT_DELAY : delay;
+  }
+
+  function setDelay(delay)
+  {
+    save(DELAY_KEY, delay);
+    lastActivity = new Date().getTime();
+  }
+
+  /*
+   * Tells whether the page is locked when its tab is hidden. Defaults to true.
+   */
+  function isLockedWhenHidden()
+  {
+    return read(HIDDEN_KEY) !== 'false';
+  }
+
+  function setLockedWhenHidden(isLocked)
+  {
+    save(HIDDEN_KEY, !!isLocked);
+  }
+
+  global.IdleLock = {
+    start : start,
+    lock : lock,
+    getDelay : getDelay,
+    setDelay : setDelay,
+    isLockedWhenHidden : isLockedWhenHidden,
+    setLockedWhenHidden : setLockedWhenHidden
+  };
+})(this);
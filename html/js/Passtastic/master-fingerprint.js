@@ -0,0 +1,117 @@
+/**
+ * master-fingerprint.js
+ *
+ * A typo in the master password gives a valid-looking but wrong password, which is only noticed
+ * when the login fails. The fingerprint catches that earlier: two words like "sleepy otter" that
+ * are derived from the master password and that the user learns to recognize.
+ *
+ * The fingerprint is derived with Passtastic.deriveKey(), a bcrypt run with a salt of its own, so
+ * it is slow to compute and unrelated to any generated password. Its 12 bits, and the 16 bits of
+ * the optional check value, rule out only a tiny share of the guesses at the master password.
+ *
+ * The salt is fixed, so that the same master password shows the same words on every browser and
+ * device, and on the page as in the extension; words that change between them couldn't be learned.
+ * A fixed salt lets an attacker precompute the fingerprints of likely master passwords once for all
+ * users, but at bcrypt cost 11 per guess, and for only 12 or 16 bits that most guesses share.
+ *
+ * The check value is stored in localStorage once the user marks a master password as their usual
+ * one; matches() then tells whether another master password has the same check value. Browsers may
+ * refuse access to localStorage (eg for file:// pages), in which case nothing is checked.
+ *
+ * Depends on passtastic.js and sha256.js.
+ *
+ * Defines the global object MasterFingerprint with the functions get(), matches(), getCheck(),
+ * setCheck() and removeCheck().
+ */
+(function(global) {
+  "use strict";
+
+  var STORAGE_KEY = 'passtastic.masterPwCheck';
+  var SALT_BYTES = 16;
+  var COST = 11; //The bcrypt work factor, about as slow as generating a password
+  var SALT_LABEL = 'Passtastic fingerprint'; //The fixed salt is derived from it
+  var CHECK_LABEL = 'Passtastic check value';
+  var CHECK_BYTES = 2;
+
+  //64 words each, so that a byte of the key picks one with its upper 6 bits
+  var ADJECTIVES = [
+    'amber', 'azure', 'bold', 'brave', 'brisk', 'calm', 'clever', 'coral', 'cosmic', 'crimson', 'curly', 'dusty', 'eager', 'fancy', 'fierce', 'fluffy',
+    'gentle', 'giant', 'golden', 'happy', 'humble', 'icy', 'jolly', 'keen', 'lazy', 'lively', 'lucky', 'lunar', 'mellow', 'merry', 'misty', 'noble',
+    'olive', 'orange', 'plucky', 'polar', 'proud', 'purple', 'quick', 'quiet', 'rapid', 'rosy', 'royal', 'rusty', 'scarlet', 'shiny', 'silent', 'silver',
+    'sleepy', 'sly', 'snowy', 'solar', 'spotted', 'stormy', 'sunny', 'swift', 'tiny', 'violet', 'wild', 'windy', 'witty', 'woolly', 'young', 'zesty'
+  ];
+  var ANIMALS = [
+    'badger', 'bat', 'bear', 'beaver', 'bison', 'camel', 'cat', 'cobra', 'crab', 'crane', 'crow', 'deer', 'dingo', 'dolphin', 'donkey', 'dove',
+    'duck', 'eagle', 'falcon', 'ferret', 'finch', 'fox', 'frog', 'gecko', 'goat', 'goose', 'hare', 'hawk', 'heron', 'horse', 'jackal', 'koala',
+    'lemur', 'lion', 'llama', 'lynx', 'mole', 'moose', 'mouse', 'newt', 'otter', 'owl', 'panda', 'parrot', 'pelican', 'penguin', 'pony', 'puffin',
+    'rabbit', 'raven', 'seal', 'shark', 'sheep', 'sloth', 'snail', 'swan', 'tiger', 'toad', 'trout', 'turtle', 'walrus', 'wolf', 'yak', 'zebra'
+  ];
+
+  /**
+   * Derives the fingerprint of a master password.
+   *
+   * @param masterPw string
+   * @param options object - Optional, bool useWorker and function progress (see Passtastic.deriveKey())
+   * @return Promise resolved with an object with the properties words (the fingerprint, eg "sleepy otter")
+   *         and check (the check value as a hex string)
+   */
+  function get(masterPw, options)
+  {
+    var salt = sha256.hash(sha256.utf8(SALT_LABEL)).slice(0, SALT_BYTES);
+    options = options || {};
+
+    return Passtastic.deriveKey(masterPw, salt, { cost : COST, useWorker : options.useWorker, progress : options.progress }).then(function(key) {
+      return {
+        words : ADJECTIVES[key[0] >> 2] + ' ' + ANIMALS[key[1] >> 2],
+        check : sha256.toHex(sha256.hmac(key, sha256.utf8(CHECK_LABEL)).slice(0, CHECK_BYTES))
+      };
+    });
+  }
+
+  /*
+   * Gets the stored check value, or null if there is none
+   */
+  function getCheck()
+  {
+    try {
+      return global.localStorage.getItem(STORAGE_KEY);
+    } catch(error) {
+      return null;
+    }
+  }
+
+  /*
+   * Stores the check value of the usual master password
+   */
+  function setCheck(check)
+  {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, check);
+    } catch(error) {}
+  }
+
+  function removeCheck()
+  {
+    try {
+      global.localStorage.removeItem(STORAGE_KEY);
+    } catch(error) {}
+  }
+
+  /*
+   * Tells whether a fingerprint (as returned by get()) belongs to the usual master password. Without a
+   * stored check value, every fingerprint does.
+   */
+  function matches(fingerprint)
+  {
+    var check = getCheck();
+    return !check || check === fingerprint.check;
+  }
+
+  global.MasterFingerprint = {
+    get : get,
+    matches : matches,
+    getCheck : getCheck,
+    setCheck : setCheck,
+    removeCheck : removeCheck
+  };
+})(this);
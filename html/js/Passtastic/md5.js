@@ -9,6 +9,9 @@
  * original source code was retrieved from http://www.queness.com/code-snippet/6523/generate-md5-hash-with-javascript
  * The actual functionality has not been modified - I've simply added a self-executing
  * wrapper function and made all the globally-declared variables local.
+ *
+ * Exports the function calcMD5() as a CommonJS module, or defines it as a global when loaded
+ * with a script tag.
  * 
  * --------------------------------------------------------------------------------------
  * License: License to copy and use this software is granted provided that it is identified 
@@ -25,7 +28,12 @@
  * These notices must be retained in any copies of any part of this documentation and/or software.
  */
 
-(function() {
+(function(root, factory) {
+  if(typeof module === 'object' && module.exports)
+    module.exports = factory();
+  else
+    root.calcMD5 = factory();
+})(this, function() {
     /*
    * Convert a 32-bit number to a hex string with ls-byte first
    */
@@ -102,7 +110,7 @@
   /*
    * Take a string and return the hex representation of its MD5.
    */
-  window.calcMD5 = function(str)
+  function calcMD5(str)
   {
     var x = str2blks_MD5(str),
         a =  1732584193,
@@ -193,4 +201,6 @@
     }
     return rhex(a) + rhex(b) + rhex(c) + rhex(d);
   }
-})();
\ No newline at end of file
+
+  return calcMD5;
+});
@@ -0,0 +1,8 @@
+/**
+ * md5.mjs
+ *
+ * The ES module version of md5.js, for Node.js and bundlers.
+ */
+import calcMD5 from './md5.js';
+
+export default calcMD5;
@@ -0,0 +1,54 @@
+/**
+ * passtastic-worker.js
+ *
+ * Web Worker that runs the key derivation function (KDF) for Passtastic, so that the page stays
+ * responsive while the hash is generated. See Passtastic._runKdf() for the other side.
+ *
+ * Messages to the worker: a job as built by Passtastic._getKdfJob() - { kdf : 'bcrypt', input : string,
+ * salt : string } for bcrypt, { kdf : 'scrypt'|'argon2id', input : bytes, salt : bytes, params : object,
+ * dkLen : integer } for the others
+ * Messages from the worker:
+ * - { type : 'progress' } - Sent approx. 100 times while the hash is generated
+ * - { type : 'result', output : string|array } - The output of bCrypt.hashpw(), or the derived bytes
+ * - { type : 'error', message : string } - The KDF threw an error
+ *
+ * The worker handles a single message. Passtastic terminates it when the hash arrives or the
+ * generation is cancelled.
+ */
+importScripts('bCrypt-nodeps.js', 'sha256.js', 'scrypt.js', 'argon2.js');
+
+/**
+ * Runs each KDF like the run() functions of Passtastic's KDFS do
+ */
+var KDFS = {
+  bcrypt : function(job, callback, progress) {
+    (new bCrypt()).hashpw(job.input, job.salt, callback, progress);
+  },
+  scrypt : function(job, callback, progress) {
+    scrypt(job.input, job.salt, job.params, job.dkLen, callback, progress);
+  },
+  argon2id : function(job, callback, progress) {
+    argon2id(job.input, job.salt, job.params, job.dkLen, callback, progress);
+  }
+};
+
+self.onmessage = function(event) {
+  "use strict";
+
+  var job = event.data;
+
+  try {
+    if(!KDFS.hasOwnProperty(job.kdf))
+      throw 'Unknown key derivation function "' + job.kdf + '"';
+
+    KDFS[job.kdf](job,
+                  function(output) {
+                    self.postMessage({ type : 'result', output : output });
+                  },
+                  function() {
+                    self.postMessage({ type : 'progress' });
+                  });
+  } catch(error) {
+    self.postMessage({ type : 'error', message : String(error) });
+  }
+};
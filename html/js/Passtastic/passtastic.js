@@ -4,8 +4,20 @@
  * Author: Benjamin Stuermer
  * 
  * A deterministic password generator.
+ * 
+ * Works as a CommonJS module, which requires the modules it depends on itself, and in browsers,
+ * where it defines the global Passtastic. There, bCrypt-nodeps.js and md5.js must be loaded before
+ * it, and the optional sha256.js, scrypt.js, argon2.js, public-suffix-list.js, site-normalizer.js
+ * and eff-large-wordlist.js as well if they're used. passtastic.mjs is the ES module version.
  */
-(function(window, undefined){
+(function(root, factory) {
+  if(typeof module === 'object' && module.exports)
+    module.exports = factory(require('./bCrypt-nodeps.js'), require('./md5.js'), require('./sha256.js'), require('./scrypt.js'),
+                             require('./argon2.js'), require('./site-normalizer.js'), require('./eff-large-wordlist.js'), null);
+  else
+    root.Passtastic = factory(root.bCrypt, root.calcMD5, root.sha256, root.scrypt, root.argon2id, root.SiteNormalizer, root.EFF_LARGE_WORDLIST,
+                              root.document);
+})(this, function(bCrypt, calcMD5, sha256, scrypt, argon2id, SiteNormalizer, EFF_LARGE_WORDLIST, document, undefined){
   "use strict";
   
   if(undefined === bCrypt) {
@@ -15,11 +27,31 @@
     throw('Passtastic.js - This script is dependent on md5.js, which appears not to have loaded.')
   }
 
-  var BCRYPT_WORK_PARAM = '10';
+  var DEFAULT_BCRYPT_COST = 10; //The bcrypt work factor (log2 of the number of rounds) used by Passtastic v0.2
+  var MIN_BCRYPT_COST = 4; //bCrypt.crypt_raw() accepts 4 to 31...
+  var MAX_BCRYPT_COST = 30; //...but 31 used to do no rounds at all, so its passwords were the weakest rather than the strongest
+  var BENCHMARK_COST = 8; //Low enough to be quick on any device, high enough to give a meaningful time
   var BCRYPT_VERSION = '2a';
   var BCRYPT_BIN_LEN = 184; //The number of bits of entropy generated by bcrypt
   var CHAR_ARRAY_LEN = 256; //The length of the character arrays from which the password's characters are drawn
 
+  var DEFAULT_PW_LEN = 16; //The length of the generated password if none is specified
+  var MIN_PW_LEN = 4; //Enough room for one character of each class
+  var MAX_PW_LEN = 64;
+
+  var WORDLIST_LEN = 7776; //The length of the EFF's long word list, 6^5 for five dice
+  var WORD_BITS = 13; //log2(WORDLIST_LEN), rounded up
+  var DIGIT_BITS = 4; //log2(10), rounded up
+  var BIAS_BITS = 64; //The extra bits a passphrase consumes so that picking words with a modulo is unbiased, see _convertBinaryToPassphrase()
+  var DEFAULT_PASSPHRASE_WORDS = 6; //As the EFF recommends
+  var MIN_PASSPHRASE_WORDS = 3;
+  var MAX_PASSPHRASE_WORDS = 12; //About 155 bits of entropy, but with BIAS_BITS and a digit it consumes 228 bits, more than bcrypt's 184, so _expandBinary() adds the rest
+  var DEFAULT_PASSPHRASE_SEPARATOR = '-'; //Sites that take passwords tend to take hyphens, not all of them take spaces
+  var PASSPHRASE_CAPITALIZATIONS = ['none', 'first', 'all'];
+
+  var MIN_PIN_LEN = 4; //Shorter PINs have too few values to leave out the weak ones, see _getWeakPins()
+  var MAX_CHECKED_PIN_LEN = 11; //10^11 is about the largest divisor _divideLimbs() takes. Longer PINs are unlikely enough to be weak.
+
   /**
    * String containing all characters used in bcrypt's base 64 schema, arranged in order
    * of ordinality (so . == 0, / == 1, A == 2, etc). This allows us to use indexOf() to get
@@ -30,9 +62,238 @@
   var LOWER_CASE_CHARS = 'abcdefghijklmnopqrstuvwxyz';
   var UPPER_CASE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   var NUMERICAL_CHARS = '0123456789';
-  var SPECIAL_CHARS = '!"#$%&\'()*+,-./:;<=>?@[/]^_`{|}~'; // -> The 32 non-whitespace ASCII characters between 33 and 126
+  var SPECIAL_CHARS = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~'; // -> The 32 non-whitespace ASCII characters between 33 and 126
+  var LEGACY_SPECIAL_CHARS = '!"#$%&\'()*+,-./:;<=>?@[/]^_`{|}~'; // -> Passtastic v0.2's special chars, which have '/' in place of '\\'
+
+  /**
+   * The versions of the derivation algorithm. A password is only reproducible with the version
+   * it was generated with, so versions must never be changed once released - fixes go into a
+   * new version instead. Each version is described by the following properties:
+   * 
+   * - name: Human-readable name of the version
+   * - specialChars: The default special characters
+   * - correctSaltEncoding: If false, the salt is encoded like v0.2 did it: the MD5 hash's hex digits are
+   *   converted into chunks of 4 to 6 bits (see _hexToBinary()), of which bcrypt only uses the first 22
+   *   base64 digits. If true, every hex digit becomes exactly 4 bits and all 128 bits reach bcrypt.
+   * - hmacSalt: If true, the salt is derived from the non-secret inputs only, with HMAC-SHA-256 (see
+   *   _generateHmacSalt()), instead of from the MD5 hash of all inputs. An MD5 hash of the master password is
+   *   quick to compute, so it shouldn't go into the salt, which an attacker may learn. Needs sha256.js.
+   * - unicode: If true, all inputs are normalized to Unicode NFC and bcrypt is passed their UTF-8 encoding.
+   *   Otherwise bcrypt and MD5 are passed the UTF-16 code units truncated to 8 bits, which mangles every
+   *   character above U+00FF (see isLegacySafe()), and the same text typed as precomposed or decomposed
+   *   characters gives different passwords.
+   * - encodedInputs: If true, the site, user name and counter are length-prefixed (see _encodeInputs())
+   *   instead of joined with '|', which lets site "a|b" with user "c" collide with site "a" with user "b|c".
+   *   The KDF is passed HMAC-SHA-256 of them keyed with the master password (see _prehashInputs()): 32 bytes
+   *   whatever the inputs' length, so bcrypt's limit of 72 bytes never cuts off part of the master password.
+   *   The salt is derived from the encoded inputs as well. Needs sha256.js.
+   */
+  var ALGORITHMS = {
+    '0.2' : {
+      name : 'v0.2 (legacy)',
+      specialChars : LEGACY_SPECIAL_CHARS,
+      correctSaltEncoding : false,
+      hmacSalt : false,
+      unicode : false,
+      encodedInputs : false
+    },
+    '1' : {
+      name : 'v1',
+      specialChars : SPECIAL_CHARS,
+      correctSaltEncoding : true,
+      hmacSalt : false,
+      unicode : false,
+      encodedInputs : false
+    },
+    '2' : {
+      name : 'v2',
+      specialChars : SPECIAL_CHARS,
+      correctSaltEncoding : true,
+      hmacSalt : true,
+      unicode : false,
+      encodedInputs : false
+    },
+    '3' : {
+      name : 'v3',
+      specialChars : SPECIAL_CHARS,
+      correctSaltEncoding : true,
+      hmacSalt : true,
+      unicode : true,
+      encodedInputs : false
+    },
+    '4' : {
+      name : 'v4',
+      specialChars : SPECIAL_CHARS,
+      correctSaltEncoding : true,
+      hmacSalt : true,
+      unicode : true,
+      encodedInputs : true
+    }
+  };
+  var DEFAULT_ALGORITHM = '0.2'; //The version used if the caller doesn't request one, so that existing passwords don't change
+  var LATEST_ALGORITHM = '4';
+  var HMAC_SALT_MESSAGE = 'Passtastic salt'; //The message that _generateHmacSalt() authenticates
+  var SALT_BYTES = 16; //The length of the salt, as bcrypt only takes 128 bits
+
+  var MAX_KDF_MEMORY = 1024 * 1024 * 1024; //In bytes. Browsers tend to kill pages that allocate much more.
+
+  /**
+   * The key derivation functions (KDFs) that turn the inputs into the bits the password is made of.
+   * bcrypt is the KDF of Passtastic v0.2 and is configured with the cost option. The others are
+   * configured with the kdfParams option and deliver as many bits as the password needs. Each KDF
+   * is described by the following properties:
+   * 
+   * - name: Human-readable name of the KDF
+   * - params: The parameters it takes in kdfParams, each with its default, minimum and maximum value
+   * - scripts: The scripts it needs, for error messages
+   * - isLoaded: Function that tells whether the scripts have been loaded
+   * - validate: Optional function that is passed the complete parameters and returns an error
+   *   message if they can't be used together
+   * - run: Function that runs the KDF on the current thread, see _runKdf(). Must match
+   *   passtastic-worker.js.
+   */
+  var KDFS = {
+    bcrypt : {
+      name : 'bcrypt',
+      params : {},
+      scripts : 'bCrypt-nodeps.js',
+      isLoaded : function() {
+        return typeof bCrypt !== 'undefined';
+      },
+      run : function(job, callback, progress) {
+        var bcrypt = new bCrypt();
+        bcrypt.hashpw(job.input, job.salt, callback, progress);
+
+        return {
+          cancel : function() {
+            bcrypt.cancel();
+          }
+        };
+      }
+    },
+    scrypt : {
+      name : 'scrypt',
+      params : {
+        N : { defaultValue : 16384, min : 2, max : 1048576 }, //CPU/memory cost, a power of 2. Takes 128 * r * N bytes of memory.
+        r : { defaultValue : 8, min : 1, max : 32 }, //Block size
+        p : { defaultValue : 1, min : 1, max : 16 } //Parallelization. Multiplies the time, but not the memory.
+      },
+      scripts : 'sha256.js and scrypt.js',
+      isLoaded : function() {
+        return typeof sha256 !== 'undefined' && typeof scrypt !== 'undefined';
+      },
+      validate : function(params) {
+        if(params.N & (params.N - 1))
+          return 'N must be a power of 2, but was ' + params.N;
+        if(128 * params.r * params.N > MAX_KDF_MEMORY)
+          return 'The parameters require more than ' + (MAX_KDF_MEMORY / 1024 / 1024) + ' MiB of memory';
+      },
+      run : function(job, callback, progress) {
+        return scrypt(job.input, job.salt, job.params, job.dkLen, callback, progress);
+      }
+    },
+    argon2id : {
+      name : 'Argon2id',
+      params : {
+        memory : { defaultValue : 16384, min : 8, max : MAX_KDF_MEMORY / 1024 }, //In KiB
+        iterations : { defaultValue : 2, min : 1, max : 100 }, //Number of passes over the memory
+        parallelism : { defaultValue : 1, min : 1, max : 16 } //Number of lanes. JavaScript computes them one after another.
+      },
+      scripts : 'sha256.js and argon2.js',
+      isLoaded : function() {
+        return typeof sha256 !== 'undefined' && typeof argon2id !== 'undefined';
+      },
+      validate : function(params) {
+        if(params.memory < 8 * params.parallelism)
+          return 'memory must be at least 8 KiB per lane, but was ' + params.memory;
+      },
+      run : function(job, callback, progress) {
+        return argon2id(job.input, job.salt, job.params, job.dkLen, callback, progress);
+      }
+    }
+  };
+  var DEFAULT_KDF = 'bcrypt';
+
+  /**
+   * The error type for everything that goes wrong in Passtastic. The code property tells
+   * the kinds of errors apart, see the constants below.
+   * 
+   * @param message string
+   * @param code string - One of the PasstasticError.* codes
+   */
+  function PasstasticError(message, code) {
+    this.name = 'PasstasticError';
+    this.message = message;
+    this.code = code || PasstasticError.INTERNAL_ERROR;
+
+    if(Error.captureStackTrace)
+      Error.captureStackTrace(this, PasstasticError);
+    else
+      this.stack = (new Error(message)).stack;
+  }
+  PasstasticError.prototype = Object.create(Error.prototype);
+  PasstasticError.prototype.constructor = PasstasticError;
+
+  PasstasticError.INVALID_ARGUMENT = 'INVALID_ARGUMENT'; //The inputs or options can't be used to generate a password
+  PasstasticError.ABORTED = 'ABORTED'; //The generation was cancelled by the caller
+  PasstasticError.INTERNAL_ERROR = 'INTERNAL_ERROR'; //A sanity check failed, or the KDF reported an error
+
+  /**
+   * The URL of passtastic-worker.js, which is expected next to this script. A script can only
+   * find out its own URL while it is being executed, so we do it right away.
+   */
+  var currentScript = document && document.currentScript;
+  var WORKER_URL = (currentScript && currentScript.src) ? currentScript.src.replace(/[^\/]*$/, 'passtastic-worker.js') : null;
+
+  /**
+   * The character classes a policy can require, in the order in which their arrays are
+   * generated. Changing the order changes the generated passwords!
+   */
+  var CHAR_CLASSES = ['lower', 'upper', 'digit', 'special'];
+
+  /**
+   * Class names that can be used in a policy's positional rules, mapped to the character
+   * classes they consist of.
+   */
+  var POSITION_CLASSES = {
+    lower   : ['lower'],
+    upper   : ['upper'],
+    digit   : ['digit'],
+    special : ['special'],
+    letter  : ['lower', 'upper'],
+    alnum   : ['lower', 'upper', 'digit'],
+    any     : CHAR_CLASSES
+  };
+
+  /**
+   * The characters that stand for a class in a template (see the template option of getPassword()),
+   * mapped to the characters they are replaced with. If special is true, the special characters of
+   * the policy are added.
+   */
+  var TEMPLATE_CLASSES = {
+    '9' : { chars : NUMERICAL_CHARS, special : false },
+    'a' : { chars : LOWER_CASE_CHARS, special : false },
+    'A' : { chars : UPPER_CASE_CHARS, special : false },
+    'c' : { chars : 'bcdfghjklmnpqrstvwxyz', special : false },
+    'C' : { chars : 'BCDFGHJKLMNPQRSTVWXYZ', special : false },
+    'v' : { chars : 'aeiou', special : false },
+    'V' : { chars : 'AEIOU', special : false },
+    'l' : { chars : LOWER_CASE_CHARS + UPPER_CASE_CHARS, special : false },
+    'x' : { chars : LOWER_CASE_CHARS + UPPER_CASE_CHARS + NUMERICAL_CHARS, special : false },
+    'X' : { chars : UPPER_CASE_CHARS + NUMERICAL_CHARS, special : false },
+    's' : { chars : '', special : true },
+    '*' : { chars : LOWER_CASE_CHARS + UPPER_CASE_CHARS + NUMERICAL_CHARS, special : true }
+  };
+
+  return {
+    PasstasticError : PasstasticError,
+
+    /**
+     * The URL from which the Web Worker that runs the KDF is loaded (see the useWorker option of
+     * getPassword()). Set it if passtastic-worker.js doesn't live next to passtastic.js.
+     */
+    workerUrl : WORKER_URL,
 
-  window.Passtastic = {
     /**
      * Deterministically generates a password based on three strings.
      * 
@@ -41,59 +302,1074 @@
      * input is simply the three strings concatenated in that order and separated by pipes (|),
      * the salt is the MD5 hash of the same three concatenated strings, converted into base64 
      * to decrease the possibility of salt collisions.
-     * - Sixteen arrays are generated (note that the order must be identical to this implementation
-     * or the result will differ!). The first consists only of lower-case characters, the second of
-     * upper-case, the third of digits and the fourth of special characters. The remaining eight arrays
+     * - If a counter greater than 0 is passed, a pipe and the counter are appended to the hash input.
+     * Since the salt is derived from the full input, the counter changes the salt even when bcrypt
+     * truncates the input to 72 bytes.
+     * - From algorithm version 2 on, the salt is instead the first 16 bytes of an HMAC-SHA-256 that is keyed
+     * on site, userName and counter only, see _generateHmacSalt().
+     * - From algorithm version 3 on, the three strings are normalized to Unicode NFC first, and bcrypt
+     * hashes their UTF-8 encoding.
+     * - From algorithm version 4 on, the strings are no longer joined with pipes. The hash input is
+     * HMAC-SHA-256 of the length-prefixed site, userName and counter, keyed with masterPw (see
+     * _prehashInputs()), which bcrypt is passed in base64. The HMAC salt is keyed on the same encoding.
+     * - One array per password character is generated (note that the order must be identical to this
+     * implementation or the result will differ!). The first consists only of lower-case characters, the
+     * second of upper-case, the third of digits and the fourth of special characters. The remaining arrays
      * are constructed from characters of all four classes. Each array is 256 characters long.
      * - NOTE: For the above step, the user is given the option to generate the password without any
      * special characters. If this option is selected, only upper case, lower case chars and numbers
-     * are used.
+     * are used. A character policy (see _normalizePolicy()) can change how many arrays of each class
+     * are generated, which characters they contain, and fix the class of some positions in the password.
+     * Arrays for fixed positions are not shuffled, they are inserted at their positions after the shuffle. The
+     * characters at fixed positions are drawn first, and each counts toward the minimum of its class.
      * - The bcrypt hash is used as a source of entropy for the rest of the algorithm. Bcrypt
      * generates 184 bits of entropy. Bits are consumed from the most-significant end (from left to right).
-     * - The first 49 bits are used to shuffle the 16 character arrays by treating the collection of arrays
-     * as a binary tree. (Note that this wastes bits, we treat them as consumed anyhow)
+     * If the password is long enough to need more bits than that, the bit string is extended with the
+     * MD5 hashes of the bcrypt hash followed by a pipe and a block counter (1, 2, ...). This stretches the
+     * bcrypt output rather than adding entropy to it, but it keeps the result deterministic.
+     * - If scrypt or Argon2id is used in place of bcrypt, its input is the UTF-8 encoding of the combined
+     * strings, and its salt is the 16 bytes of their MD5 hash (or of the HMAC, see above). It derives exactly as many bytes as the
+     * password needs bits, so no stretching is necessary.
+     * - The first bits are used to shuffle the character arrays by treating the collection of arrays
+     * as a binary tree. For the default length of 16 this takes 50 bits. (Note that this wastes bits,
+     * we treat them as consumed anyhow)
      * - One character is picked from each of the shuffled arrays, and the characters are concatenated to
-     * create the password. This step consumes 128 of the remaining 135 bits of entropy.
+     * create the password. This step consumes 8 bits per character, so 128 bits for a 16-character password.
+     * - With the passphrase option, the bits are turned into words of the EFF's long word list instead, see
+     * _convertBinaryToPassphrase(). The length and the character policy are ignored then.
+     * - With the template option, they are turned into characters of the template's classes, see
+     * _convertBinaryToTemplate(). Of the policy, only the special characters are used then.
      *
      * @param string site 
      * @param string userName,
      * @param string masterPw
-     * @param bool useSpecialChars - If true, the generated password will contain 1 or more special characters
+     * @param object|bool options - Either the boolean useSpecialChars (as in Passtastic v0.2) or an object with:
+     *        - bool useSpecialChars: If true, the generated password will contain 1 or more special characters.
+     *          Defaults to true.
+     *        - int length: The length of the generated password, between 4 and 64. Defaults to 16.
+     *        - object policy: The character policy for the site, see _normalizePolicy(). If the policy
+     *          does not say anything about special characters, useSpecialChars decides whether they are used.
+     *        - int counter: The generation of the password, a non-negative integer. Increase it to get a
+     *          new password for a site without changing any of the other inputs. Defaults to 0.
+     *        - string version: The version of the algorithm, see getAlgorithmVersions(). Defaults to '0.2'.
+     *        - string kdf: The key derivation function, 'bcrypt', 'scrypt' or 'argon2id' (see getKdfs()). The KDF
+     *          is as much a part of a site's settings as the version: each one generates different passwords.
+     *          Defaults to 'bcrypt'. scrypt needs sha256.js and scrypt.js, Argon2id sha256.js and argon2.js.
+     *        - object kdfParams: The parameters of scrypt (N, r, p) or Argon2id (memory in KiB, iterations,
+     *          parallelism). Missing parameters take their default values, see getKdfs().
+     *        - int cost: The bcrypt work factor, between 4 and 30. Each step doubles the time the hash takes,
+     *          see benchmark() and suggestCost(). Defaults to 10, the cost of Passtastic v0.2.
+     *        - bool normalizeSite: If true, site is replaced by its registrable domain before anything else happens
+     *          to it (see SiteNormalizer.normalize()), so that eg "https://www.GitHub.com/login" gives the password
+     *          of "github.com". Needs public-suffix-list.js and site-normalizer.js. Defaults to false.
+     *        - object siteAliases: Maps sites to the site whose password they share (see site-aliases.js). It is
+     *          applied after normalizeSite. Sites are matched trimmed and lower-cased, so the keys must be too.
+     *        - object|bool passphrase: If set, the result is a passphrase of words from the EFF's long word list,
+     *          eg "tidy-zebra-unpaved-clapping-shakily-outlet", in place of a password. true gives the defaults,
+     *          an object may set:
+     *          - int words: The number of words, between 3 and 12. Defaults to 6.
+     *          - string separator: Put between the words. Defaults to '-'.
+     *          - string capitalize: 'none' (default), 'first' for the first letter of each word or 'all'.
+     *          - bool digit: If true, a digit is appended to one of the words. Defaults to false.
+     *          Like the password, the passphrase depends on every other option. Needs eff-large-wordlist.js.
+     *          See getPassphraseEntropy() for its strength.
+     *        - string template: If set, the result follows this template in place of a password, eg "9999" for a
+     *          PIN or "Cvcc-9999". These characters stand for one character of a class:
+     *          9 digit, a lower-case letter, A upper-case letter, c lower-case consonant, C upper-case consonant,
+     *          v lower-case vowel, V upper-case vowel, l letter, x letter or digit, X upper-case letter or digit,
+     *          s special character (of the policy) and * any of these.
+     *          Every other character is copied, as is a character after a backslash. Templates of 4 to 11 digits
+     *          and nothing else are PINs, which are never all the same digit or a run like 1234 or 9876 (see
+     *          _getWeakPins()). Can't be combined with passphrase. See getTemplateEntropy() for its strength.
+     *        - bool useWorker: If true, the KDF runs in a Web Worker (see workerUrl), so that it doesn't block the
+     *          page. If Workers aren't available or the worker fails to load, it runs on the current thread
+     *          in 100ms slices instead. The password is the same either way. Defaults to true.
      * @param function resultCallback - passed the generated password
      * @param function progress - Optional, called periodically (approx. 100 times) during hash generation.
+     * @return object with a cancel() method, which stops the generation. resultCallback is not called then.
+     * @throws PasstasticError if the arguments or options are invalid
+     */
+    getPassword : function(site, userName, masterPw, options, resultCallback, progress) {
+      return this._derive(site, userName, masterPw, options, resultCallback, null, progress);
+    },
+
+    /**
+     * Promise-based version of getPassword().
+     * 
+     * @param string site
+     * @param string userName
+     * @param string masterPw
+     * @param object|bool options - See getPassword(). Additionally:
+     *        - object signal: Optional, an AbortSignal (or any object with an aborted property and an
+     *          addEventListener() method that fires 'abort'). Aborting it stops the generation.
+     *        - function progress: Optional, called periodically (approx. 100 times) during hash generation.
+     * @return Promise resolved with the generated password. It is rejected with a PasstasticError if the
+     *         arguments or options are invalid (code INVALID_ARGUMENT), the signal is aborted (ABORTED) or
+     *         anything else goes wrong (INTERNAL_ERROR).
      */
-    getPassword : function(site, userName, masterPw, useSpecialChars, resultCallback, progress) {
+    getPasswordAsync : function(site, userName, masterPw, options) {
       var self = this,
-      bcrypt = new bCrypt();
+          signal = (options && options.signal) || null,
+          progress = (options && options.progress) || null;
+
+      return new Promise(function(resolve, reject) {
+        var handle,
+            onAbort = function() {
+              if(handle)
+                handle.cancel();
+              reject(new PasstasticError('Passtastic.getPasswordAsync() - The password generation was aborted.', PasstasticError.ABORTED));
+            },
+            settle = function(callback) { //Wraps resolve/reject so that the abort listener is removed once we're done
+              return function(value) {
+                if(signal)
+                  signal.removeEventListener('abort', onAbort);
+                callback(value);
+              };
+            };
+
+        if(signal && signal.aborted)
+          return onAbort();
+
+        try {
+          handle = self._derive(site, userName, masterPw, options, settle(resolve), settle(reject), progress);
+        } catch(error) {
+          return reject(self._toError(error));
+        }
+
+        if(signal)
+          signal.addEventListener('abort', onAbort);
+      });
+    },
+
+    /**
+     * Does the work for getPassword() and getPasswordAsync().
+     * 
+     * @param errorCallback function - Optional, passed a PasstasticError if the generation fails after
+     *        the KDF has run. If it isn't passed, the error is thrown instead.
+     * @return object with a cancel() method
+     */
+    _derive : function(site, userName, masterPw, options, resultCallback, errorCallback, progress) {
+      var self = this;
       
-      var combinedInputs = site + '|' + userName + '|' + masterPw;
-      BCRYPT_WORK_PARAM = 10;
+      if(typeof site !== 'string')
+        throw new PasstasticError('Passtastic.getPassword() - The site must be a string, but was ' + typeof site, PasstasticError.INVALID_ARGUMENT);
+      if(typeof userName !== 'string')
+        throw new PasstasticError('Passtastic.getPassword() - The user name must be a string, but was ' + typeof userName, PasstasticError.INVALID_ARGUMENT);
+      if(typeof masterPw !== 'string')
+        throw new PasstasticError('Passtastic.getPassword() - The master password must be a string, but was ' + typeof masterPw, PasstasticError.INVALID_ARGUMENT);
 
-      bcrypt.hashpw(combinedInputs,
+      options = this._normalizeOptions(options);
 
-                    '$'+BCRYPT_VERSION+'$'+BCRYPT_WORK_PARAM+'$'+self._generateSalt(combinedInputs),
+      site = this.getSite(site, options);
 
-                    //Callback that is passed the result of the function
-                    function (bcryptHash) {
-                      var password, //The generated password
-                          binaryHash; //The BCrypt hash in binary format. We convert into this format because we only use a few
-                                      // bits of the output at a time, and it's easier to just chop off used bits than to recalculate
-                                      // a base64 string.
+      if(this._getAlgorithm(options.version).unicode) {
+        site = site.normalize('NFC');
+        userName = userName.normalize('NFC');
+        masterPw = masterPw.normalize('NFC');
+      }
+
+      var combinedInputs = this._getAlgorithm(options.version).encodedInputs ? this._prehashInputs(site, userName, masterPw, options.counter)
+                                                                             : this._combineInputs(site, userName, masterPw, options.counter);
+
+      return this._runKdf(this._getKdfJob(combinedInputs, this._getSaltBytes(site, userName, options), options),
+
+                    options.useWorker,
 
-                      bcryptHash = bcryptHash.substr(29); //We retrieve only the hash portion of the output.
+                    //Callback that is passed the result of the function
+                    function (kdfOutput) {
+                      var password; //The generated password
 
-                      if(bcryptHash.length != 31) //Sanity check
-                        throw('Passtastic.getPassword() - The bcrypt hash output should always be exactly 31 characters long, but it was found to be ' + bcryptHash.length + ' chars long!');
+                      try {
+                        password = self._hashToPassword(kdfOutput, options);
+                      } catch(error) {
+                        if(!errorCallback)
+                          throw error;
+                        return errorCallback(self._toError(error));
+                      }
 
-                      binaryHash = self._bcryptBase64ToBinary(bcryptHash);
-                      password = self._convertBinaryToPw(binaryHash, useSpecialChars);
                       resultCallback(password);
                     },
 
+                    errorCallback,
+
                     //Callback that is called periodically as the hash is generated 
                     progress);
     },
 
+    /**
+     * Gets the site as getPassword() hashes it, after applying the normalizeSite and siteAliases options.
+     * 
+     * @param site string
+     * @param options object - Optional, see getPassword()
+     * @return string
+     * @throws PasstasticError if site isn't a string
+     */
+    getSite : function(site, options) {
+      var key;
+
+      if(typeof site !== 'string')
+        throw new PasstasticError('Passtastic.getSite() - The site must be a string, but was ' + typeof site, PasstasticError.INVALID_ARGUMENT);
+
+      if(options && options.normalizeSite)
+        site = SiteNormalizer.normalize(site);
+
+      key = site.replace(/^\s+|\s+$/g, '').toLowerCase();
+      if(options && options.siteAliases && options.siteAliases.hasOwnProperty(key))
+        site = options.siteAliases[key];
+
+      return site;
+    },
+
+    /**
+     * Measures how long one bcrypt run takes on this device.
+     * 
+     * @param cost integer - Optional, the bcrypt work factor to measure. Defaults to 10.
+     * @param useWorker bool - Optional, whether to run bcrypt the way getPassword() does by default (in a
+     *        Web Worker if possible). Defaults to true.
+     * @return Promise resolved with the duration in milliseconds
+     */
+    benchmark : function(cost, useWorker) {
+      var self = this;
+      if(cost === undefined)
+        cost = DEFAULT_BCRYPT_COST;
+
+      return new Promise(function(resolve, reject) {
+        self._validateCost(cost);
+
+        var start = new Date();
+        self._runKdf({ kdf : 'bcrypt', input : 'Passtastic benchmark', salt : self._getBcryptSaltPrefix(cost) + self._generateSalt('Passtastic benchmark', LATEST_ALGORITHM) },
+                     useWorker === undefined ? true : !!useWorker,
+                     function() {
+                       resolve(new Date() - start);
+                     },
+                     reject);
+      });
+    },
+
+    /**
+     * Suggests the highest bcrypt cost for which one run takes at most a given time on this device.
+     * A single benchmark at a low cost is extrapolated, since each step of the cost doubles the time.
+     * 
+     * @param targetMs integer - The longest acceptable duration of getPassword() in milliseconds
+     * @param useWorker bool - Optional, see benchmark()
+     * @return Promise resolved with the suggested cost (never less than 4)
+     */
+    suggestCost : function(targetMs, useWorker) {
+      return this.benchmark(BENCHMARK_COST, useWorker).then(function(duration) {
+        var cost = BENCHMARK_COST;
+        duration = Math.max(duration, 1);
+
+        while(cost < MAX_BCRYPT_COST && duration * 2 <= targetMs) {
+          duration *= 2;
+          cost++;
+        }
+        while(cost > MIN_BCRYPT_COST && duration > targetMs) {
+          duration /= 2;
+          cost--;
+        }
+
+        return cost;
+      });
+    },
+
+    /**
+     * Derives a 256-bit key from a secret like the master password with bcrypt, for uses other than
+     * generating passwords (eg encrypting exported profiles). The secret is normalized to NFC and passed
+     * to bcrypt as UTF-8, and the key is the SHA-256 hash of bcrypt's output. Needs sha256.js.
+     *
+     * @param secret string
+     * @param salt array - 16 bytes. Use a salt of your own for each purpose, so that keys for different
+     *        purposes are unrelated.
+     * @param options object - Optional:
+     *        - integer cost: The bcrypt work factor. Defaults to 10.
+     *        - bool useWorker: Whether to use a Web Worker if possible. Defaults to true.
+     *        - function progress: Optional, called periodically (approx. 100 times).
+     * @return Promise resolved with the key as an array of 32 bytes. It is rejected with a PasstasticError if
+     *         the arguments are invalid (code INVALID_ARGUMENT) or anything else goes wrong (INTERNAL_ERROR).
+     */
+    deriveKey : function(secret, salt, options) {
+      var self = this;
+      options = options || {};
+
+      return new Promise(function(resolve, reject) {
+        var cost = options.cost === undefined ? DEFAULT_BCRYPT_COST : options.cost;
+
+        if(typeof sha256 === 'undefined')
+          throw new PasstasticError('Passtastic.deriveKey() - This function is dependent on sha256.js, which appears not to have loaded.', PasstasticError.INTERNAL_ERROR);
+        if(typeof secret !== 'string')
+          throw new PasstasticError('Passtastic.deriveKey() - The secret must be a string.', PasstasticError.INVALID_ARGUMENT);
+        if(!salt || salt.length !== SALT_BYTES)
+          throw new PasstasticError('Passtastic.deriveKey() - The salt must be ' + SALT_BYTES + ' bytes long.', PasstasticError.INVALID_ARGUMENT);
+        self._validateCost(cost);
+
+        self._runKdf({ kdf : 'bcrypt',
+                       input : String.fromCharCode.apply(null, sha256.utf8(secret.normalize('NFC'))),
+                       salt : self._getBcryptSaltPrefix(cost) + self._binaryToBase64(self._bytesToBinary(salt), true) },
+                     options.useWorker === undefined ? true : !!options.useWorker,
+                     function(hash) {
+                       resolve(sha256.hash(sha256.utf8(hash)));
+                     },
+                     reject,
+                     options.progress);
+      });
+    },
+
+    /**
+     * Builds the part of a bcrypt salt string that precedes the actual salt, eg '$2a$10$'
+     * 
+     * @param cost integer - The bcrypt work factor
+     * @return string
+     */
+    _getBcryptSaltPrefix : function(cost) {
+      return '$' + BCRYPT_VERSION + '$' + (cost < 10 ? '0' : '') + cost + '$';
+    },
+
+    /**
+     * Throws if a bcrypt cost is not an integer between 4 and 30.
+     * 
+     * @param cost mixed
+     */
+    _validateCost : function(cost) {
+      if(cost !== parseInt(cost, 10) || cost < MIN_BCRYPT_COST || cost > MAX_BCRYPT_COST)
+        throw new PasstasticError('Passtastic._validateCost() - The bcrypt cost must be an integer between ' + MIN_BCRYPT_COST + ' and ' + MAX_BCRYPT_COST + ', but was ' + cost, PasstasticError.INVALID_ARGUMENT);
+    },
+
+    /**
+     * Builds the job for _runKdf() that derives the bits of a password.
+     * 
+     * @param combinedInputs string|array - The output of _combineInputs(), or for versions with encodedInputs
+     *        the output of _prehashInputs()
+     * @param saltBytes array|null - The output of _getSaltBytes()
+     * @param options object - The options as returned by _normalizeOptions()
+     * @return object
+     */
+    _getKdfJob : function(combinedInputs, saltBytes, options) {
+      var salt, input;
+
+      if(options.kdf === 'bcrypt') {
+        salt = saltBytes ? this._binaryToBase64(this._bytesToBinary(saltBytes), true) : this._generateSalt(combinedInputs, options.version);
+        //bcrypt takes one byte per character, so UTF-8 is passed as a string of byte values. The prehash is
+        // passed in base64, as bcrypt implementations in other languages stop at the first zero byte.
+        if(typeof combinedInputs !== 'string')
+          input = this._binaryToBase64(this._bytesToBinary(combinedInputs), true);
+        else
+          input = this._getAlgorithm(options.version).unicode ? String.fromCharCode.apply(null, sha256.utf8(combinedInputs)) : combinedInputs;
+        return { kdf : 'bcrypt', input : input, salt : this._getBcryptSaltPrefix(options.cost) + salt };
+      }
+
+      return {
+        kdf : options.kdf,
+        input : typeof combinedInputs !== 'string' ? combinedInputs : sha256.utf8(combinedInputs),
+        salt : saltBytes || this._hexToBytes(calcMD5(combinedInputs)),
+        params : options.kdfParams,
+        dkLen : Math.ceil(options.requiredBinLength / 8)
+      };
+    },
+
+    /**
+     * Gets the salt of the versions whose salt doesn't depend on the master password.
+     * 
+     * @param site string
+     * @param userName string
+     * @param options object - The options as returned by _normalizeOptions()
+     * @return array of bytes, or null if the salt is derived from all inputs (see _generateSalt())
+     */
+    _getSaltBytes : function(site, userName, options) {
+      var algorithm = this._getAlgorithm(options.version);
+
+      if(!algorithm.hmacSalt)
+        return null;
+      if(algorithm.encodedInputs)
+        return sha256.hmac(this._encodeInputs(site, userName, options.counter), sha256.utf8(HMAC_SALT_MESSAGE)).slice(0, SALT_BYTES);
+
+      return this._generateHmacSalt(site, userName, options.counter);
+    },
+
+    /**
+     * Runs a KDF, either in a Web Worker or in time slices on the current thread.
+     * 
+     * @param job object - The kdf property names the KDF (see KDFS). For bcrypt, input and salt are the
+     *        arguments of bCrypt.hashpw(). For the other KDFs, input and salt are arrays of bytes, params
+     *        are the KDF's parameters and dkLen is the number of bytes to derive.
+     * @param useWorker bool - If true, a worker is used when possible
+     * @param callback function - Passed the output of the KDF: for bcrypt the output of bCrypt.hashpw(),
+     *        for the other KDFs an array of bytes
+     * @param errorCallback function - Optional, passed a PasstasticError if the KDF fails in the worker.
+     *        If it isn't passed, the error is thrown instead.
+     * @param progress function - Optional, called periodically (approx. 100 times)
+     * @return object with a cancel() method
+     */
+    _runKdf : function(job, useWorker, callback, errorCallback, progress) {
+      var self = this,
+          worker = null,
+          fallback = null; //The handle of the time-sliced run, if the worker fails
+
+      if(useWorker && typeof Worker !== 'undefined' && this.workerUrl) {
+        try {
+          worker = new Worker(this.workerUrl);
+        } catch(error) {
+          worker = null; //Browsers refuse to start workers in some situations, for instance from file:// URLs
+        }
+      }
+
+      if(!worker)
+        return KDFS[job.kdf].run(job, callback, progress);
+
+      worker.onmessage = function(event) {
+        var message = event.data;
+
+        if(message.type === 'progress') {
+          if(progress)
+            progress();
+          return;
+        }
+
+        worker.terminate();
+
+        if(message.type === 'result')
+          return callback(message.output);
+
+        var error = new PasstasticError('Passtastic._runKdf() - ' + KDFS[job.kdf].name + ' failed: ' + message.message, PasstasticError.INTERNAL_ERROR);
+        if(!errorCallback)
+          throw error;
+        errorCallback(error);
+      };
+
+      //If the worker script can't be loaded or crashes, we start over on the current thread
+      worker.onerror = function(event) {
+        if(event.preventDefault)
+          event.preventDefault();
+        worker.terminate();
+        fallback = self._runKdf(job, false, callback, errorCallback, progress);
+      };
+
+      worker.postMessage(job);
+
+      return {
+        cancel : function() {
+          worker.terminate();
+          if(fallback)
+            fallback.cancel();
+        }
+      };
+    },
+
+    /**
+     * Turns the output of the KDF into the password.
+     * 
+     * @param kdfOutput string|array - For bcrypt, the complete output of bCrypt.hashpw(), including the salt.
+     *        For the other KDFs, the derived bytes.
+     * @param options object - The options as returned by _normalizeOptions()
+     * @return string
+     */
+    _hashToPassword : function(kdfOutput, options) {
+      var binaryHash; //The hash in binary format. We convert into this format because we only use a few
+                      // bits of the output at a time, and it's easier to just chop off used bits than to recalculate
+                      // a base64 string.
+
+      if(options.kdf !== 'bcrypt') {
+        binaryHash = this._bytesToBinary(kdfOutput);
+      } else {
+        var bcryptHash = kdfOutput.substr(29); //We retrieve only the hash portion of the output.
+
+        if(bcryptHash.length != 31) //Sanity check
+          throw new PasstasticError('Passtastic.getPassword() - The bcrypt hash output should always be exactly 31 characters long, but it was found to be ' + bcryptHash.length + ' chars long!', PasstasticError.INTERNAL_ERROR);
+
+        binaryHash = this._bcryptBase64ToBinary(bcryptHash);
+        binaryHash = this._expandBinary(binaryHash, bcryptHash, options.requiredBinLength);
+      }
+
+      if(options.passphrase)
+        return this._convertBinaryToPassphrase(binaryHash, options.passphrase);
+      if(options.template)
+        return this._convertBinaryToTemplate(binaryHash, options.template);
+
+      return this._convertBinaryToPw(binaryHash, options.policy, options.length);
+    },
+
+    /**
+     * Makes sure an error is a PasstasticError. bCrypt throws strings, for instance.
+     * 
+     * @param error mixed
+     * @return PasstasticError
+     */
+    _toError : function(error) {
+      if(error instanceof PasstasticError)
+        return error;
+
+      return new PasstasticError(String(error && error.message !== undefined ? error.message : error), PasstasticError.INTERNAL_ERROR);
+    },
+
+    /**
+     * Lists the available versions of the derivation algorithm.
+     * 
+     * @return array of objects with the properties version, name, isDefault (true for the version
+     *         getPassword() uses if none is passed), isLatest and unicode (see ALGORITHMS)
+     */
+    getAlgorithmVersions : function() {
+      var versions = [];
+      for(var version in ALGORITHMS) {
+        if(ALGORITHMS.hasOwnProperty(version)) {
+          versions.push({
+            version : version,
+            name : ALGORITHMS[version].name,
+            isDefault : version === DEFAULT_ALGORITHM,
+            isLatest : version === LATEST_ALGORITHM,
+            unicode : ALGORITHMS[version].unicode
+          });
+        }
+      }
+
+      //Object properties aren't ordered reliably, so we sort the versions oldest first
+      versions.sort(function(a, b) {
+        return parseFloat(a.version) - parseFloat(b.version);
+      });
+
+      return versions;
+    },
+
+    /**
+     * Tells whether a string gives the same password with every algorithm version that doesn't handle
+     * Unicode (see ALGORITHMS) as it would if it were handled correctly. That's not the case if it
+     * contains characters above U+00FF, which those versions mangle, or if it isn't in NFC, so that
+     * the same text typed differently gives a different password.
+     * 
+     * @param str string
+     * @return bool
+     */
+    isLegacySafe : function(str) {
+      if(/[^\u0000-\u00ff]/.test(str))
+        return false;
+
+      return !String.prototype.normalize || str === str.normalize('NFC');
+    },
+
+    /**
+     * Lists the available key derivation functions, see the kdf option of getPassword().
+     * 
+     * @return array of objects with the properties kdf (the value of the kdf option), name, params (the
+     *         names of the kdfParams mapped to objects with defaultValue, min and max), isDefault and
+     *         isLoaded (false if the scripts the KDF needs are missing)
+     */
+    getKdfs : function() {
+      var kdfs = [];
+      for(var kdf in KDFS) {
+        if(KDFS.hasOwnProperty(kdf)) {
+          kdfs.push({
+            kdf : kdf,
+            name : KDFS[kdf].name,
+            params : JSON.parse(JSON.stringify(KDFS[kdf].params)), //A copy, so that callers can't change the defaults
+            isDefault : kdf === DEFAULT_KDF,
+            isLoaded : KDFS[kdf].isLoaded()
+          });
+        }
+      }
+
+      return kdfs;
+    },
+
+    /**
+     * Estimates the strength of a passphrase: log2 of the number of passphrases its settings allow, which
+     * is what an attacker who knows the settings and the word list, but not the master password, has to
+     * try. Each word adds log2(7776) = 12.9 bits, the digit log2(10 * words). The separator and the
+     * capitalization add nothing.
+     * 
+     * @param passphrase object|bool - Optional, see the passphrase option of getPassword(). Defaults to true.
+     * @return number - The entropy in bits, eg 77.5 for 6 words
+     * @throws PasstasticError if a setting is invalid
+     */
+    getPassphraseEntropy : function(passphrase) {
+      passphrase = this._normalizePassphrase(passphrase === undefined ? true : passphrase);
+
+      var entropy = passphrase.words * Math.log(WORDLIST_LEN) / Math.LN2;
+      if(passphrase.digit)
+        entropy += Math.log(10 * passphrase.words) / Math.LN2;
+
+      return entropy;
+    },
+
+    /**
+     * Estimates the strength of the output of a template, like getPassphraseEntropy(): log2 of the number
+     * of outputs it allows. The characters that are copied add nothing.
+     * 
+     * @param template string - See the template option of getPassword()
+     * @param specialChars string - Optional, the special characters of the policy. Defaults to those of
+     *        the latest algorithm version.
+     * @return number - The entropy in bits, eg 13.3 for "9999"
+     * @throws PasstasticError if the template is invalid
+     */
+    getTemplateEntropy : function(template, specialChars) {
+      template = this._normalizeTemplate(template, specialChars === undefined ? ALGORITHMS[LATEST_ALGORITHM].specialChars : specialChars);
+      if(!template)
+        throw new PasstasticError('Passtastic.getTemplateEntropy() - No template was passed.', PasstasticError.INVALID_ARGUMENT);
+
+      if(template.isPin)
+        return Math.log(Math.pow(10, template.classCount) - this._getWeakPins(template.classCount).length) / Math.LN2;
+
+      var entropy = 0;
+      for(var i = 0; i < template.parts.length; i++) {
+        if(template.parts[i].chars)
+          entropy += Math.log(template.parts[i].chars.length) / Math.LN2;
+      }
+
+      return entropy;
+    },
+
+    /**
+     * Validates the parameters of a KDF and fills in the defaults for missing ones.
+     * 
+     * @param kdf string - The name of the KDF, see KDFS
+     * @param params object - Optional, the kdfParams option of getPassword()
+     * @return object
+     */
+    _normalizeKdfParams : function(kdf, params) {
+      if(!KDFS.hasOwnProperty(kdf))
+        throw new PasstasticError('Passtastic._normalizeKdfParams() - Unknown key derivation function "' + kdf + '"', PasstasticError.INVALID_ARGUMENT);
+
+      var definition = KDFS[kdf],
+          result = {},
+          name, value, error;
+
+      if(!definition.isLoaded())
+        throw new PasstasticError('Passtastic._normalizeKdfParams() - ' + definition.name + ' is dependent on ' + definition.scripts + ', which appear not to have loaded.', PasstasticError.INTERNAL_ERROR);
+
+      for(name in params) {
+        if(params.hasOwnProperty(name) && !definition.params.hasOwnProperty(name))
+          throw new PasstasticError('Passtastic._normalizeKdfParams() - ' + definition.name + ' has no parameter "' + name + '"', PasstasticError.INVALID_ARGUMENT);
+      }
+
+      for(name in definition.params) {
+        if(!definition.params.hasOwnProperty(name))
+          continue;
+
+        value = (params && params[name] !== undefined) ? params[name] : definition.params[name].defaultValue;
+        if(value !== parseInt(value, 10) || value < definition.params[name].min || value > definition.params[name].max)
+          throw new PasstasticError('Passtastic._normalizeKdfParams() - The ' + definition.name + ' parameter ' + name + ' must be an integer between ' + definition.params[name].min + ' and ' + definition.params[name].max + ', but was ' + value, PasstasticError.INVALID_ARGUMENT);
+
+        result[name] = value;
+      }
+
+      error = definition.validate && definition.validate(result);
+      if(error)
+        throw new PasstasticError('Passtastic._normalizeKdfParams() - Invalid ' + definition.name + ' parameters: ' + error, PasstasticError.INVALID_ARGUMENT);
+
+      return result;
+    },
+
+    /**
+     * Gets the description of a version of the derivation algorithm.
+     * 
+     * @param version string - Optional, defaults to the default version
+     * @return object - See ALGORITHMS
+     */
+    _getAlgorithm : function(version) {
+      if(version === undefined)
+        version = DEFAULT_ALGORITHM;
+
+      if(!ALGORITHMS.hasOwnProperty(version))
+        throw new PasstasticError('Passtastic._getAlgorithm() - Unknown algorithm version "' + version + '"', PasstasticError.INVALID_ARGUMENT);
+
+      return ALGORITHMS[version];
+    },
+
+    /**
+     * Turns the options parameter of getPassword() into an object with every option set.
+     * 
+     * @param options object|bool - See getPassword()
+     * @return object
+     */
+    _normalizeOptions : function(options) {
+      if(typeof options !== 'object' || options === null)
+        options = { useSpecialChars : options === undefined ? true : !!options };
+
+      var result = {
+        useSpecialChars : options.useSpecialChars === undefined ? true : !!options.useSpecialChars,
+        length : options.length === undefined ? DEFAULT_PW_LEN : options.length,
+        counter : options.counter === undefined ? 0 : options.counter,
+        version : options.version === undefined ? DEFAULT_ALGORITHM : String(options.version),
+        cost : options.cost === undefined ? DEFAULT_BCRYPT_COST : options.cost,
+        kdf : options.kdf === undefined ? DEFAULT_KDF : String(options.kdf),
+        normalizeSite : !!options.normalizeSite,
+        siteAliases : options.siteAliases || null,
+        passphrase : this._normalizePassphrase(options.passphrase),
+        useWorker : options.useWorker === undefined ? true : !!options.useWorker
+      };
+
+      var algorithm = this._getAlgorithm(result.version);
+      if(algorithm.hmacSalt && typeof sha256 === 'undefined')
+        throw new PasstasticError('Passtastic.getPassword() - Algorithm ' + algorithm.name + ' is dependent on sha256.js, which appears not to have loaded.', PasstasticError.INTERNAL_ERROR);
+      if(result.normalizeSite && typeof SiteNormalizer === 'undefined')
+        throw new PasstasticError('Passtastic.getPassword() - normalizeSite is dependent on public-suffix-list.js and site-normalizer.js, which appear not to have loaded.', PasstasticError.INTERNAL_ERROR);
+      if(result.passphrase && (typeof EFF_LARGE_WORDLIST === 'undefined' || !EFF_LARGE_WORDLIST))
+        throw new PasstasticError('Passtastic.getPassword() - passphrase is dependent on eff-large-wordlist.js, which appears not to have loaded.', PasstasticError.INTERNAL_ERROR);
+      if(result.passphrase && EFF_LARGE_WORDLIST.length !== WORDLIST_LEN) //Another list would give other passphrases
+        throw new PasstasticError('Passtastic.getPassword() - The word list has ' + EFF_LARGE_WORDLIST.length + ' words instead of ' + WORDLIST_LEN + '.', PasstasticError.INTERNAL_ERROR);
+      if(result.siteAliases !== null && typeof result.siteAliases !== 'object')
+        throw new PasstasticError('Passtastic.getPassword() - siteAliases must be an object, but was ' + result.siteAliases, PasstasticError.INVALID_ARGUMENT);
+      if(algorithm.unicode && !String.prototype.normalize)
+        throw new PasstasticError('Passtastic.getPassword() - Algorithm ' + algorithm.name + ' needs String.prototype.normalize(), which this browser does not support.', PasstasticError.INTERNAL_ERROR);
+
+      if(result.length !== parseInt(result.length, 10) || result.length < MIN_PW_LEN || result.length > MAX_PW_LEN)
+        throw new PasstasticError('Passtastic.getPassword() - The password length must be an integer between ' + MIN_PW_LEN + ' and ' + MAX_PW_LEN + ', but was ' + result.length, PasstasticError.INVALID_ARGUMENT);
+      if(result.counter !== parseInt(result.counter, 10) || result.counter < 0)
+        throw new PasstasticError('Passtastic.getPassword() - The counter must be a non-negative integer, but was ' + result.counter, PasstasticError.INVALID_ARGUMENT);
+      this._validateCost(result.cost);
+      result.kdfParams = this._normalizeKdfParams(result.kdf, options.kdfParams);
+
+      //Copy the policy so that useSpecialChars can be folded into it without modifying the caller's object
+      result.policy = {};
+      for(var key in options.policy) {
+        if(options.policy.hasOwnProperty(key))
+          result.policy[key] = options.policy[key];
+      }
+      if(result.policy.special === undefined && !result.useSpecialChars)
+        result.policy.special = false;
+      if(result.policy.specialChars === undefined)
+        result.policy.specialChars = algorithm.specialChars;
+
+      //Normalizing the policy validates it, so invalid policies are reported before the KDF runs
+      result.requiredBinLength = this._getRequiredBinLength(result.length, result.length - this._normalizePolicy(result.policy, result.length).positionCount);
+      result.template = this._normalizeTemplate(options.template, result.policy.specialChars);
+      if(result.passphrase && result.template)
+        throw new PasstasticError('Passtastic.getPassword() - passphrase and template can\'t be used together.', PasstasticError.INVALID_ARGUMENT);
+
+      if(result.passphrase)
+        result.requiredBinLength = this._getPassphraseBinLength(result.passphrase);
+      else if(result.template)
+        result.requiredBinLength = this._getTemplateBinLength(result.template);
+
+      return result;
+    },
+
+    /**
+     * Turns the passphrase option of getPassword() into an object with every setting set.
+     * 
+     * @param passphrase object|bool|undefined - See getPassword()
+     * @return object|null - null if no passphrase is wanted
+     * @throws PasstasticError if a setting is invalid
+     */
+    _normalizePassphrase : function(passphrase) {
+      if(!passphrase)
+        return null;
+      if(typeof passphrase !== 'object')
+        passphrase = {};
+
+      var result = {
+        words : passphrase.words === undefined ? DEFAULT_PASSPHRASE_WORDS : passphrase.words,
+        separator : passphrase.separator === undefined ? DEFAULT_PASSPHRASE_SEPARATOR : passphrase.separator,
+        capitalize : passphrase.capitalize === undefined ? 'none' : passphrase.capitalize,
+        digit : !!passphrase.digit
+      };
+
+      if(result.words !== parseInt(result.words, 10) || result.words < MIN_PASSPHRASE_WORDS || result.words > MAX_PASSPHRASE_WORDS)
+        throw new PasstasticError('Passtastic.getPassword() - The number of passphrase words must be an integer between ' + MIN_PASSPHRASE_WORDS + ' and ' + MAX_PASSPHRASE_WORDS + ', but was ' + result.words, PasstasticError.INVALID_ARGUMENT);
+      if(typeof result.separator !== 'string')
+        throw new PasstasticError('Passtastic.getPassword() - The passphrase separator must be a string, but was ' + result.separator, PasstasticError.INVALID_ARGUMENT);
+      if(PASSPHRASE_CAPITALIZATIONS.indexOf(result.capitalize) === -1)
+        throw new PasstasticError('Passtastic.getPassword() - The passphrase capitalization must be one of ' + PASSPHRASE_CAPITALIZATIONS.join(', ') + ', but was ' + result.capitalize, PasstasticError.INVALID_ARGUMENT);
+
+      return result;
+    },
+
+    /**
+     * Parses a template (see the template option of getPassword()).
+     * 
+     * @param template string|undefined - The template. If it's undefined or null, there is none.
+     * @param specialChars string - The special characters of the policy
+     * @return object|null - null if there is no template. Otherwise an object with the properties parts (for each
+     *         character of the output an object with either the property literal, the character, or chars, the
+     *         characters of its class), classCount (the number of parts with chars) and isPin.
+     * @throws PasstasticError if the template is invalid
+     */
+    _normalizeTemplate : function(template, specialChars) {
+      if(template === undefined || template === null)
+        return null;
+      if(typeof template !== 'string')
+        throw new PasstasticError('Passtastic.getPassword() - The template must be a string, but was ' + template, PasstasticError.INVALID_ARGUMENT);
+
+      var result = { parts : [], classCount : 0, isPin : false },
+          digitCount = 0,
+          curChar, templateClass, chars;
+
+      for(var i = 0; i < template.length; i++) {
+        curChar = template.charAt(i);
+
+        if(curChar === '\\') {
+          if(++i >= template.length)
+            throw new PasstasticError('Passtastic.getPassword() - The template ends with a backslash, which must be followed by the character it escapes.', PasstasticError.INVALID_ARGUMENT);
+          result.parts.push({ literal : template.charAt(i) });
+          continue;
+        }
+        if(!TEMPLATE_CLASSES.hasOwnProperty(curChar)) {
+          result.parts.push({ literal : curChar });
+          continue;
+        }
+
+        templateClass = TEMPLATE_CLASSES[curChar];
+        chars = templateClass.chars + (templateClass.special ? String(specialChars) : '');
+        if(!chars.length)
+          throw new PasstasticError('Passtastic.getPassword() - The template asks for a special character, but the policy has none.', PasstasticError.INVALID_ARGUMENT);
+
+        result.parts.push({ chars : chars });
+        result.classCount++;
+        if(curChar === '9')
+          digitCount++;
+      }
+
+      if(!result.classCount)
+        throw new PasstasticError('Passtastic.getPassword() - The template contains no character classes, so it would always give the same result.', PasstasticError.INVALID_ARGUMENT);
+      if(result.classCount > MAX_PW_LEN)
+        throw new PasstasticError('Passtastic.getPassword() - The template may contain at most ' + MAX_PW_LEN + ' character classes, but contains ' + result.classCount, PasstasticError.INVALID_ARGUMENT);
+
+      result.isPin = digitCount === result.classCount && digitCount >= MIN_PIN_LEN && digitCount <= MAX_CHECKED_PIN_LEN;
+
+      return result;
+    },
+
+    /**
+     * Combines the inputs into the string that is hashed. For counter 0 the result is identical to
+     * Passtastic v0.2, so existing passwords don't change.
+     * 
+     * @param site string
+     * @param userName string
+     * @param masterPw string
+     * @param counter integer
+     * @return string
+     */
+    _combineInputs : function(site, userName, masterPw, counter) {
+      var combinedInputs = site + '|' + userName + '|' + masterPw;
+      if(counter)
+        combinedInputs += '|' + counter;
+
+      return combinedInputs;
+    },
+
+    /**
+     * Encodes the inputs that aren't secret for versions with encodedInputs: the UTF-8 encodings of the
+     * site, the user name and the counter (in decimal), each preceded by its length in bytes as a 32-bit
+     * big-endian integer. Unlike joining them with '|', this never gives two sets of inputs the same encoding.
+     * 
+     * @param site string
+     * @param userName string
+     * @param counter integer
+     * @return array of bytes
+     */
+    _encodeInputs : function(site, userName, counter) {
+      var fields = [site, userName, String(counter)],
+          encoded = [],
+          bytes;
+
+      for(var i = 0; i < fields.length; i++) {
+        bytes = sha256.utf8(fields[i]);
+        encoded.push((bytes.length >>> 24) & 0xff, (bytes.length >>> 16) & 0xff, (bytes.length >>> 8) & 0xff, bytes.length & 0xff);
+        encoded = encoded.concat(bytes);
+      }
+
+      return encoded;
+    },
+
+    /**
+     * Combines the inputs for versions with encodedInputs: HMAC-SHA-256 of _encodeInputs() with the UTF-8
+     * encoding of the master password as the key. HMAC hashes keys longer than a block first, so the
+     * whole master password always counts.
+     * 
+     * @param site string
+     * @param userName string
+     * @param masterPw string
+     * @param counter integer
+     * @return array of 32 bytes
+     */
+    _prehashInputs : function(site, userName, masterPw, counter) {
+      return sha256.hmac(sha256.utf8(masterPw), this._encodeInputs(site, userName, counter));
+    },
+
+    /**
+     * Validates a character policy and converts it into the form used internally. A policy is an object
+     * with the following (all optional) properties:
+     * 
+     * - lower, upper, digit, special: The minimum number of characters of the class that the password
+     *   must contain, or false if the class must not be used at all. Defaults to 1 for each class.
+     * - specialChars: String, the special characters that may be used. Defaults to the special characters of
+     *   the algorithm version (when called from getPassword()) or of v0.2.
+     * - allowed: String, if set, only characters in this string may appear in the password.
+     * - forbidden: String, characters that must not appear in the password.
+     * - positions: Object mapping positions in the password to the class of character that must appear
+     *   there ('lower', 'upper', 'digit', 'special', 'letter', 'alnum' or 'any'). Negative positions count
+     *   from the end, so {0: 'letter', '-1': 'digit'} means "start with a letter and end with a digit".
+     *   A character at a fixed position counts toward the minimum of its class.
+     * - maxRepeat: The maximum number of times the same character may appear consecutively. Each class with a
+     *   minimum, each position and the policy as a whole must then allow at least two different characters.
+     * 
+     * @param policy object|bool - A policy object, or for compatibility the boolean useSpecialChars
+     * @param length integer - The length of the password the policy is applied to
+     * @return object with the properties classes (an array of {name, chars, min} objects in array
+     *         generation order), allChars (all usable characters), positions (position => characters),
+     *         positionCount and maxRepeat
+     */
+    _normalizePolicy : function(policy, length) {
+      if(typeof policy !== 'object' || policy === null)
+        policy = { special : (policy === undefined || policy) ? 1 : false };
+
+      var result = {
+            classes : [],
+            allChars : '',
+            positions : {},
+            positionCount : 0,
+            maxRepeat : policy.maxRepeat || 0
+          },
+          classChars = {
+            lower : LOWER_CASE_CHARS,
+            upper : UPPER_CASE_CHARS,
+            digit : NUMERICAL_CHARS,
+            special : policy.specialChars === undefined ? LEGACY_SPECIAL_CHARS : String(policy.specialChars)
+          },
+          requiredCount = 0, //The number of characters the policy requires, besides those at fixed positions
+          remaining = {}, //The minimum of each class that is left after the fixed positions, see below
+          positionClasses = {}, //Position => the names of the classes its characters can be from
+          name, min, chars, position, i, j;
+
+      for(i = 0; i < CHAR_CLASSES.length; i++) {
+        name = CHAR_CLASSES[i];
+        min = policy[name] === undefined ? 1 : policy[name];
+
+        if(min === false)
+          continue;
+        if(min !== parseInt(min, 10) || min < 0)
+          throw new PasstasticError('Passtastic._normalizePolicy() - The minimum count for ' + name + ' characters must be false or a non-negative integer, but was ' + min, PasstasticError.INVALID_ARGUMENT);
+
+        chars = this._filterChars(classChars[name], policy);
+        if(!chars.length) {
+          if(min)
+            throw new PasstasticError('Passtastic._normalizePolicy() - The policy requires ' + name + ' characters, but allows none.', PasstasticError.INVALID_ARGUMENT);
+          continue;
+        }
+
+        result.classes.push({ name : name, chars : chars, min : min });
+        result.allChars += chars;
+        requiredCount += min;
+      }
+
+      if(!result.allChars.length)
+        throw new PasstasticError('Passtastic._normalizePolicy() - The policy does not allow any characters.', PasstasticError.INVALID_ARGUMENT);
+
+      for(position in policy.positions) {
+        if(!policy.positions.hasOwnProperty(position))
+          continue;
+
+        name = policy.positions[position];
+        if(!POSITION_CLASSES.hasOwnProperty(name))
+          throw new PasstasticError('Passtastic._normalizePolicy() - Unknown character class "' + name + '" for position ' + position, PasstasticError.INVALID_ARGUMENT);
+
+        i = parseInt(position, 10);
+        if(i < 0)
+          i += length;
+        if(isNaN(i) || i < 0 || i >= length)
+          throw new PasstasticError('Passtastic._normalizePolicy() - Position ' + position + ' is outside of a ' + length + '-character password.', PasstasticError.INVALID_ARGUMENT);
+        if(result.positions.hasOwnProperty(i))
+          throw new PasstasticError('Passtastic._normalizePolicy() - The policy sets position ' + i + ' more than once.', PasstasticError.INVALID_ARGUMENT);
+
+        chars = '';
+        positionClasses[i] = [];
+        for(j = 0; j < result.classes.length; j++) {
+          if(POSITION_CLASSES[name].indexOf(result.classes[j].name) !== -1) {
+            chars += result.classes[j].chars;
+            positionClasses[i].push(result.classes[j].name);
+          }
+        }
+        if(!chars.length)
+          throw new PasstasticError('Passtastic._normalizePolicy() - The policy requires a ' + name + ' character at position ' + position + ', but allows none.', PasstasticError.INVALID_ARGUMENT);
+
+        result.positions[i] = chars;
+        result.positionCount++;
+      }
+
+      //A fixed position reduces the minimum of the class its character is from, unless that minimum has been
+      // met already (see _convertBinaryToPw()). For a 'letter', 'alnum' or 'any' position, the class depends on
+      // the character, so we assume the worst: it is from a class that is met already, if it can be, and
+      // otherwise from the class that is closest to being met.
+      for(j = 0; j < result.classes.length; j++)
+        remaining[result.classes[j].name] = result.classes[j].min;
+      for(i = 0; i < length; i++) {
+        if(!positionClasses.hasOwnProperty(i))
+          continue;
+
+        name = positionClasses[i][0];
+        for(j = 1; j < positionClasses[i].length; j++) {
+          if(remaining[positionClasses[i][j]] < remaining[name])
+            name = positionClasses[i][j];
+        }
+        if(remaining[name] > 0) {
+          remaining[name]--;
+          requiredCount--;
+        }
+      }
+
+      if(requiredCount + result.positionCount > length)
+        throw new PasstasticError('Passtastic._normalizePolicy() - The policy requires ' + (requiredCount + result.positionCount) + ' characters, but the password is only ' + length + ' characters long.', PasstasticError.INVALID_ARGUMENT);
+
+      if(result.maxRepeat !== parseInt(result.maxRepeat, 10) || result.maxRepeat < 0)
+        throw new PasstasticError('Passtastic._normalizePolicy() - maxRepeat must be a non-negative integer (0 for no limit), but was ' + result.maxRepeat, PasstasticError.INVALID_ARGUMENT);
+
+      //Avoiding a repeat takes a second character to choose instead, see _convertBinaryToPw()
+      if(result.maxRepeat) {
+        for(j = 0; j < result.classes.length; j++) {
+          if(result.classes[j].min && this._countDistinctChars(result.classes[j].chars) < 2)
+            throw new PasstasticError('Passtastic._normalizePolicy() - The policy allows only one ' + result.classes[j].name + ' character, which is not enough to satisfy maxRepeat.', PasstasticError.INVALID_ARGUMENT);
+        }
+        for(position in result.positions) {
+          if(result.positions.hasOwnProperty(position) && this._countDistinctChars(result.positions[position]) < 2)
+            throw new PasstasticError('Passtastic._normalizePolicy() - The policy allows only one character at position ' + position + ', which is not enough to satisfy maxRepeat.', PasstasticError.INVALID_ARGUMENT);
+        }
+        if(this._countDistinctChars(result.allChars) < 2)
+          throw new PasstasticError('Passtastic._normalizePolicy() - The policy allows only one character, which is not enough to satisfy maxRepeat.', PasstasticError.INVALID_ARGUMENT);
+      }
+
+      return result;
+    },
+
+    /**
+     * Removes all characters from a string that a policy does not allow.
+     * 
+     * @param chars string
+     * @param policy object - The policy as passed to _normalizePolicy()
+     * @return string
+     */
+    _filterChars : function(chars, policy) {
+      var result = '',
+          curChar;
+
+      for(var i = 0; i < chars.length; i++) {
+        curChar = chars.charAt(i);
+        if(policy.allowed !== undefined && String(policy.allowed).indexOf(curChar) === -1)
+          continue;
+        if(policy.forbidden !== undefined && String(policy.forbidden).indexOf(curChar) !== -1)
+          continue;
+
+        result += curChar;
+      }
+
+      return result;
+    },
+
+    /**
+     * Extends a binary string to the required number of bits by appending the MD5 hashes of
+     * seed + '|1', seed + '|2', etc. If the binary string is already long enough, it is
+     * returned unchanged.
+     * 
+     * @param binary string - The binary string to extend
+     * @param seed string - The string from which the additional bits are derived
+     * @param requiredLength integer - The number of bits required
+     * @return string
+     */
+    _expandBinary : function(binary, seed, requiredLength) {
+      var block = 0;
+
+      while(binary.length < requiredLength)
+        binary += this._hexToBinary(calcMD5(seed + '|' + (++block)), true);
+
+      return binary;
+    },
+
     /**
      * Converts a bcrypt-style base64 string into a binary string
      * 
@@ -109,7 +1385,7 @@
         charVal = BCRYPT_BASE64_VALS.indexOf(base64.charAt(i));
 
         if(-1 == charVal)
-          throw('Passtastic.base64ToBinary() - passed string is not a valid base64 string');
+          throw new PasstasticError('Passtastic.base64ToBinary() - passed string is not a valid base64 string', PasstasticError.INTERNAL_ERROR);
 
         binaryChar = charVal.toString(2);
 
@@ -124,15 +1400,59 @@
       return result.substring(0, BCRYPT_BIN_LEN);
     },
 
+    /**
+     * Converts an array of bytes into a binary string of 8 bits per byte
+     * 
+     * @param bytes array
+     * @return string
+     */
+    _bytesToBinary : function(bytes) {
+      var result = '';
+      for(var i = 0; i < bytes.length; i++)
+        result += ('0000000' + bytes[i].toString(2)).slice(-8);
+
+      return result;
+    },
+
+    /**
+     * Converts a hex string into an array of bytes
+     * 
+     * @param hex string - An even number of hex digits
+     * @return array
+     */
+    _hexToBytes : function(hex) {
+      var result = [];
+      for(var i = 0; i < hex.length; i += 2)
+        result.push(parseInt(hex.substr(i, 2), 16));
+
+      return result;
+    },
+
     /**
      * Generates a bcrypt salt based on a string. The MD5 hash of the string is generated,
      * and converted into a bcrypt-style base64 representation.
      * 
      * @param str - The input string
+     * @param version - Optional, the algorithm version. Defaults to v0.2.
      * @return string
      */
-    _generateSalt : function(str) {
-      return this._binaryToBase64(this._hexToBinary(calcMD5(str)));
+    _generateSalt : function(str, version) {
+      var correctEncoding = this._getAlgorithm(version).correctSaltEncoding;
+      return this._binaryToBase64(this._hexToBinary(calcMD5(str), correctEncoding), correctEncoding);
+    },
+
+    /**
+     * Generates a salt from the inputs that aren't secret: the first 16 bytes of HMAC-SHA-256 with the
+     * UTF-8 encoding of site + '|' + userName + '|' + counter as the key and 'Passtastic salt' as the
+     * message. Unlike the MD5 salt, it doesn't reveal anything about the master password.
+     * 
+     * @param site string
+     * @param userName string
+     * @param counter integer
+     * @return array of 16 bytes
+     */
+    _generateHmacSalt : function(site, userName, counter) {
+      return sha256.hmac(sha256.utf8(site + '|' + userName + '|' + counter), sha256.utf8(HMAC_SALT_MESSAGE)).slice(0, SALT_BYTES);
     },
 
     /**
@@ -142,13 +1462,18 @@
      * strings with other lengths.
      * 
      * @param bin - String
+     * @param padLastBlock - Optional, if true, a last block of less than 6 bits is padded to the right
+     *        with zeros, so that its bits end up in the most significant bits of the last digit. That's
+     *        where bcrypt expects them. Passtastic v0.2 didn't do this, so it defaults to false.
      * @return string
      */
-    _binaryToBase64 : function(bin) {
+    _binaryToBase64 : function(bin, padLastBlock) {
       var result = ''; //The current block of the binary string with which we are working
 
       while(bin.length) {
         var binVal = bin.slice(0, 6);
+        if(padLastBlock)
+          binVal = (binVal + '00000').substring(0, 6);
         result += BCRYPT_BASE64_VALS.charAt(parseInt(binVal, 2));
 
         bin = bin.substring(6);
@@ -161,9 +1486,11 @@
      * Converts a hex string into a binary string
      * 
      * @param hex - String
+     * @param correctPadding - Optional. Passtastic v0.2 pads each hex digit to somewhere between 4 and
+     *        6 bits, depending on its value, and that behavior is kept unless this is true.
      * @return string
      */
-    _hexToBinary : function(hex) {
+    _hexToBinary : function(hex, correctPadding) {
       var result = '',
           binaryChar, //binary representation of a single character
           charVal; //Numeric value of a single character
@@ -174,7 +1501,10 @@
         binaryChar = charVal.toString(2);
 
         //Pad the binary representation out so that each character generates a 4-bit chunk
-        binaryChar = '0000'.substring(0, 6 - binaryChar.length) + binaryChar;
+        if(correctPadding)
+          binaryChar = '0000'.substring(binaryChar.length) + binaryChar;
+        else
+          binaryChar = '0000'.substring(0, 6 - binaryChar.length) + binaryChar;
 
         result += binaryChar;
       }      
@@ -186,76 +1516,414 @@
      * Converts a binary string into a password. For specifics on the algorithm used,
      * see the doc comment for getPassword().
      * 
-     * @param binary - A 184-bit binary string
-     * @param useSpecialChars bool, if true, the generated password will contain at least one special character
+     * @param binary - A binary string of at least _getRequiredBinLength() bits (184 will do for up to 16 characters)
+     * @param policy object|bool - A character policy (see _normalizePolicy()), or the boolean useSpecialChars.
+     *        If true, the generated password will contain at least one special character.
+     * @param length integer - Optional, the length of the password. Defaults to 16.
      * 
-     * @return A 16-character password string containing lower-case and upper-case characters,
+     * @return A password string containing lower-case and upper-case characters,
      *         digits and special characters. At least one of each is guaranteed to be in the
-     *         password.
+     *         password, unless the policy says otherwise.
      */
-    _convertBinaryToPw : function(binary, useSpecialChars) {
-      if(binary.length != BCRYPT_BIN_LEN) //sanity check
-        throw('Passtastic._convertBinaryToPw() - The passed binary string is not ' + BCRYPT_BIN_LEN + ' characters long. It is ' + binary.length + ' characters long.');
+    _convertBinaryToPw : function(binary, policy, length) {
+      length = length || DEFAULT_PW_LEN;
+      policy = this._normalizePolicy(policy, length);
+
+      var shuffledCount = length - policy.positionCount, //The number of arrays that are not bound to a position
+          requiredBinLength = this._getRequiredBinLength(length, shuffledCount);
+      if(binary.length < requiredBinLength) //sanity check
+        throw new PasstasticError('Passtastic._convertBinaryToPw() - The passed binary string is shorter than ' + requiredBinLength + ' characters. It is ' + binary.length + ' characters long.', PasstasticError.INTERNAL_ERROR);
 
-      var password = '';
+      var password = '',
+          shuffleBits = this._getShuffleBits(shuffledCount),
+          blockSize = this._getRequiredBits(CHAR_ARRAY_LEN),
+          arrayPolicy = { classes : [], allChars : policy.allChars }, //The policy with the minimums the fixed positions leave
+          counted = {}, //Position => the class that the character there counts toward
+          charClass, position, i;
 
-      //Step 1: Construct our 16 arrays of characters (ie, strings)
-      var charArrays = this._getStandardCharArrays(useSpecialChars);
+      //The address of the character of each string in the password, from the bits after the shuffle's
+      function getCharPosition(i) {
+        return parseInt(binary.slice(shuffleBits + i*blockSize, shuffleBits + (i + 1)*blockSize), 2);
+      }
 
-      //Step 2: shuffle the strings using the first 49 bits of the binary string
-      charArrays = this._shuffle(charArrays, binary.slice(0, 49));
+      //Step 1: Draw the characters at positions that the policy fixes to a class first. Each one counts toward
+      // the minimum of its class, so that the class needs one array less.
+      for(i = 0; i < policy.classes.length; i++)
+        arrayPolicy.classes.push({ name : policy.classes[i].name, chars : policy.classes[i].chars, min : policy.classes[i].min });
+      for(position = 0; position < length; position++) {
+        if(!policy.positions.hasOwnProperty(position))
+          continue;
 
-      //Step 3: Use the rest of the binary string as the address of one character from each string
-      var blockSize = this._getRequiredBits(CHAR_ARRAY_LEN),
-          charPosition,
-          charPosBinary,
-          sliceStart, sliceEnd;
-      for(var i = 0; i < charArrays.length; i++) {
-        sliceStart = 50 + i*blockSize;
-        sliceEnd = sliceStart + blockSize;
-        charPosBinary = binary.slice(sliceStart, sliceEnd);
-        charPosition = parseInt(charPosBinary, 2);
-        password += charArrays[i].charAt(charPosition);
+        charClass = this._getCharClass(arrayPolicy, this._repeatToArrayLength(policy.positions[position]).charAt(getCharPosition(position)));
+        if(charClass.min > 0) {
+          charClass.min--;
+          counted[position] = charClass;
+        }
+      }
+
+      //Step 2: Construct one array of characters (ie, string) per password character that is not bound to a position
+      var charArrays = this._getStandardCharArrays(arrayPolicy, shuffledCount);
+
+      //Step 3: shuffle the strings using the first bits of the binary string (50 bits for 16 strings)
+      charArrays = this._shuffle(charArrays, binary.slice(0, shuffleBits));
+
+      //Step 4: Insert the arrays for positions that the policy fixes to a class
+      for(position = 0; position < length; position++) {
+        if(policy.positions.hasOwnProperty(position))
+          charArrays.splice(position, 0, this._repeatToArrayLength(policy.positions[position]));
+      }
+
+      //Step 5: Use the rest of the binary string as the address of one character from each string
+      var charPosition,
+          candidates,
+          curChar;
+      for(i = 0; i < charArrays.length; i++) {
+        charPosition = getCharPosition(i);
+        curChar = charArrays[i].charAt(charPosition);
+
+        //If the character would repeat too often, it is picked from the other characters of the string instead,
+        // with the same 8 bits. Like any other pick, that is only as even as the 256 addresses allow: of 25
+        // candidates, 6 get 11 addresses and 19 get 10. A character that counts toward a minimum is replaced by
+        // one of its class.
+        if(policy.maxRepeat && this._countTrailingRepeats(password, curChar) >= policy.maxRepeat) {
+          candidates = this._removeChar(counted.hasOwnProperty(i) ? counted[i].chars : charArrays[i], curChar);
+          if(!candidates.length) //sanity check, _normalizePolicy() makes sure that there is another character
+            throw new PasstasticError('Passtastic._convertBinaryToPw() - The policy does not allow enough different characters to satisfy maxRepeat.', PasstasticError.INTERNAL_ERROR);
+
+          curChar = this._repeatToArrayLength(candidates).charAt(charPosition);
+        }
+
+        password += curChar;
       }
 
       return password;
     },
 
     /**
-     * Generates a collection of 16 strings that are used to generate a password
+     * Turns a binary string into a passphrase. The first _getPassphraseBinLength() bits are read as
+     * one big number, whose digits in base 7776 (least significant first) are the positions of the
+     * words in the EFF's long word list. With the digit setting, the next digit in base 10 is the digit
+     * and the one after it, in base words, the word it's appended to. As the number has 64 bits more
+     * than the passphrases need, each is about equally likely: the bias of this modulo is below 2^-64.
+     * 
+     * @param binary string - A binary string of at least _getPassphraseBinLength() bits
+     * @param passphrase object - The passphrase settings as returned by _normalizePassphrase()
+     * @return string
+     */
+    _convertBinaryToPassphrase : function(binary, passphrase) {
+      var requiredBinLength = this._getPassphraseBinLength(passphrase);
+      if(binary.length < requiredBinLength) //sanity check
+        throw new PasstasticError('Passtastic._convertBinaryToPassphrase() - The passed binary string is shorter than ' + requiredBinLength + ' characters. It is ' + binary.length + ' characters long.', PasstasticError.INTERNAL_ERROR);
+
+      var number = this._binaryToLimbs(binary.slice(0, requiredBinLength)),
+          words = [],
+          word, digit;
+
+      for(var i = 0; i < passphrase.words; i++) {
+        word = EFF_LARGE_WORDLIST[this._divideLimbs(number, WORDLIST_LEN)];
+
+        if(passphrase.capitalize === 'all')
+          word = word.toUpperCase();
+        else if(passphrase.capitalize === 'first')
+          word = word.charAt(0).toUpperCase() + word.substr(1);
+
+        words.push(word);
+      }
+
+      if(passphrase.digit) {
+        digit = this._divideLimbs(number, 10);
+        words[this._divideLimbs(number, passphrase.words)] += digit;
+      }
+
+      return words.join(passphrase.separator);
+    },
+
+    /**
+     * Turns a binary string into the output of a template. Like _convertBinaryToPassphrase(), it reads the
+     * first _getTemplateBinLength() bits as one big number, whose digits in the bases of the template's
+     * classes (least significant first) pick the characters, so that each is as likely as the others.
+     * 
+     * A PIN is picked as a whole instead: the number modulo the number of PINs that aren't weak (see
+     * _getWeakPins()) is the position of the PIN among those, so weak PINs never come up and the others
+     * are all equally likely.
+     * 
+     * @param binary string - A binary string of at least _getTemplateBinLength() bits
+     * @param template object - The template as returned by _normalizeTemplate()
+     * @return string
+     */
+    _convertBinaryToTemplate : function(binary, template) {
+      var requiredBinLength = this._getTemplateBinLength(template);
+      if(binary.length < requiredBinLength) //sanity check
+        throw new PasstasticError('Passtastic._convertBinaryToTemplate() - The passed binary string is shorter than ' + requiredBinLength + ' characters. It is ' + binary.length + ' characters long.', PasstasticError.INTERNAL_ERROR);
+
+      var number = this._binaryToLimbs(binary.slice(0, requiredBinLength)),
+          pin = template.isPin ? this._pickPin(number, template.classCount) : null,
+          result = '',
+          part;
+
+      for(var i = 0, digit = 0; i < template.parts.length; i++) {
+        part = template.parts[i];
+
+        if(part.literal !== undefined)
+          result += part.literal;
+        else if(pin !== null)
+          result += pin.charAt(digit++);
+        else
+          result += part.chars.charAt(this._divideLimbs(number, part.chars.length));
+      }
+
+      return result;
+    },
+
+    /**
+     * Picks a PIN that isn't weak.
      * 
-     * @param useSpecialChars bool - If true, one of the arrays will consist only
-     *        of special characters, and the arrays that are not limited to a single
-     *        class of character will include special characters.
+     * @param limbs array - A big number from _binaryToLimbs(), which is divided by the number of PINs that aren't weak
+     * @param length integer - The number of digits, MIN_PIN_LEN to MAX_CHECKED_PIN_LEN
+     * @return string
      */
-    _getStandardCharArrays : function(useSpecialChars) {
-      var charArrays = ['', '', '', '', '', '', '', '', '', '', '', '', '', '', '', ''];
+    _pickPin : function(limbs, length) {
+      var weakPins = this._getWeakPins(length),
+          pin = this._divideLimbs(limbs, Math.pow(10, length) - weakPins.length);
 
-      while(charArrays[0].length < CHAR_ARRAY_LEN) //First array - lower-case characters
-        charArrays[0] += LOWER_CASE_CHARS;
-      while(charArrays[1].length < CHAR_ARRAY_LEN) //Second array - upper-case characters
-        charArrays[1] += UPPER_CASE_CHARS;
-      while(charArrays[2].length < CHAR_ARRAY_LEN) //Third array - digits
-        charArrays[2] += NUMERICAL_CHARS;
+      //pin is the position among the PINs that aren't weak, so we skip the weak ones up to it
+      for(var i = 0; i < weakPins.length && weakPins[i] <= pin; i++)
+        pin++;
 
-      charArrays[0] = charArrays[0].substring(0, CHAR_ARRAY_LEN);
-      charArrays[1] = charArrays[1].substring(0, CHAR_ARRAY_LEN);
-      charArrays[2] = charArrays[2].substring(0, CHAR_ARRAY_LEN);
+      pin = String(pin);
+      while(pin.length < length)
+        pin = '0' + pin;
 
-      if(useSpecialChars) {
-        while(charArrays[3].length < CHAR_ARRAY_LEN) { //Fourth array - special chars
-          charArrays[3] += SPECIAL_CHARS;
+      return pin;
+    },
+
+    /**
+     * Lists the PINs that are too easy to guess to be generated: those of a single digit repeated (0000,
+     * 1111, ...) and those that count up or down by one (0123, 1234, ..., 9876, 8765, ...).
+     * 
+     * @param length integer - The number of digits
+     * @return array of the PINs as numbers, in ascending order
+     */
+    _getWeakPins : function(length) {
+      var pins = [],
+          same, up, down, digit, i;
+
+      for(digit = 0; digit <= 9; digit++) {
+        same = up = down = '';
+        for(i = 0; i < length; i++) {
+          same += digit;
+          up += digit + i;
+          down += digit - i;
         }
-        charArrays[3] = charArrays[3].substring(0, CHAR_ARRAY_LEN);
+
+        pins.push(parseInt(same, 10));
+        if(digit + length <= 10)
+          pins.push(parseInt(up, 10));
+        if(digit - length >= -1)
+          pins.push(parseInt(down, 10));
+      }
+
+      return pins.sort(function(a, b) {
+        return a - b;
+      });
+    },
+
+    /**
+     * Gets the number of bits of the binary string that _convertBinaryToTemplate() consumes: enough for
+     * each class, plus 64 to make the modulo unbiased.
+     * 
+     * @param template object - The template as returned by _normalizeTemplate()
+     * @return integer
+     */
+    _getTemplateBinLength : function(template) {
+      var bits = BIAS_BITS;
+      for(var i = 0; i < template.parts.length; i++) {
+        if(template.parts[i].chars)
+          bits += this._getRequiredBits(template.parts[i].chars.length);
       }
 
+      return bits;
+    },
+
+    /**
+     * Converts a binary string into a big number: an array of 16-bit integers, most significant first.
+     * 
+     * @param binary string
+     * @return array
+     */
+    _binaryToLimbs : function(binary) {
+      var limbs = [];
+
+      binary = '0000000000000000'.substr(0, (16 - binary.length % 16) % 16) + binary; //Leading zeros don't change the number
+      for(var i = 0; i < binary.length; i += 16)
+        limbs.push(parseInt(binary.substr(i, 16), 2));
+
+      return limbs;
+    },
+
+    /**
+     * Divides a big number from _binaryToLimbs() by a small one, in place.
+     * 
+     * @param limbs array - Replaced by the quotient
+     * @param divisor integer - At most 2^37, so that the intermediate results stay exact
+     * @return integer - The remainder
+     */
+    _divideLimbs : function(limbs, divisor) {
+      var remainder = 0,
+          current;
+
+      for(var i = 0; i < limbs.length; i++) {
+        current = remainder * 65536 + limbs[i];
+        limbs[i] = Math.floor(current / divisor);
+        remainder = current % divisor;
+      }
+
+      return remainder;
+    },
+
+    /**
+     * Gets the number of bits of the binary string that _convertBinaryToPassphrase() consumes: enough for
+     * every word and the digit, plus 64 to make the modulo unbiased.
+     * 
+     * @param passphrase object - The passphrase settings as returned by _normalizePassphrase()
+     * @return integer
+     */
+    _getPassphraseBinLength : function(passphrase) {
+      var bits = passphrase.words * WORD_BITS + BIAS_BITS;
+      if(passphrase.digit)
+        bits += DIGIT_BITS + this._getRequiredBits(passphrase.words);
+
+      return bits;
+    },
+
+    /**
+     * Gets the class of a character, the first one in the policy that contains it.
+     * 
+     * @param policy object - A policy as returned by _normalizePolicy()
+     * @param character string - A single character the policy allows
+     * @return object - The class, one of policy.classes
+     */
+    _getCharClass : function(policy, character) {
+      for(var i = 0; i < policy.classes.length; i++) {
+        if(policy.classes[i].chars.indexOf(character) !== -1)
+          return policy.classes[i];
+      }
+
+      throw new PasstasticError('Passtastic._getCharClass() - The policy does not allow "' + character + '".', PasstasticError.INTERNAL_ERROR);
+    },
+
+    /**
+     * Removes a character from a string, and any duplicates of the other characters.
+     * 
+     * @param chars string
+     * @param character string - A single character
+     * @return string
+     */
+    _removeChar : function(chars, character) {
+      var result = '';
+      for(var i = 0; i < chars.length; i++) {
+        if(chars.charAt(i) !== character && result.indexOf(chars.charAt(i)) === -1)
+          result += chars.charAt(i);
+      }
+
+      return result;
+    },
+
+    /**
+     * Counts the different characters in a string.
+     * 
+     * @param chars string
+     * @return integer
+     */
+    _countDistinctChars : function(chars) {
+      return this._removeChar(chars, '').length;
+    },
+
+    /**
+     * Counts how many times a character is repeated at the end of a string.
+     * 
+     * @param str string
+     * @param character string - A single character
+     * @return integer
+     */
+    _countTrailingRepeats : function(str, character) {
+      var count = 0;
+      while(count < str.length && str.charAt(str.length - 1 - count) === character)
+        count++;
+
+      return count;
+    },
+
+    /**
+     * Gets the number of bits of the binary string that _convertBinaryToPw() consumes
+     * for a password of the passed length.
+     * 
+     * @param length integer
+     * @param shuffledCount integer - Optional, the number of character arrays that are shuffled.
+     *        Defaults to length, which is the case when the policy does not fix any positions.
+     * @return integer
+     */
+    _getRequiredBinLength : function(length, shuffledCount) {
+      if(shuffledCount === undefined)
+        shuffledCount = length;
+
+      return this._getShuffleBits(shuffledCount) + length * this._getRequiredBits(CHAR_ARRAY_LEN);
+    },
+
+    /**
+     * Gets the number of bits that _shuffle() consumes when shuffling an array with
+     * the passed number of members.
+     * 
+     * @param length integer
+     * @return integer
+     */
+    _getShuffleBits : function(length) {
+      var bits = 0;
+      for(; length > 0; length--)
+        bits += this._getRequiredBits(length);
+
+      return bits;
+    },
+
+    /**
+     * Generates a collection of strings that are used to generate a password
+     * 
+     * @param policy object|bool - A character policy (see _normalizePolicy()), or the boolean
+     *        useSpecialChars. For every class the policy requires, that many arrays will consist
+     *        only of characters of that class (by default one each of lower case, upper case, digits
+     *        and special chars). The remaining arrays consist of all characters the policy allows.
+     * @param count integer - Optional, the number of strings to generate. Defaults to 16.
+     */
+    _getStandardCharArrays : function(policy, count) {
+      var charArrays = [],
+          charClass;
+      count = count || DEFAULT_PW_LEN;
+
+      if(typeof policy !== 'object' || policy === null || !policy.classes)
+        policy = this._normalizePolicy(policy, count);
+
+      //First the arrays for each required class - by default lower-case, upper-case, digits, special chars
+      for(var i = 0; i < policy.classes.length; i++) {
+        charClass = policy.classes[i];
+        for(var j = 0; j < charClass.min; j++)
+          charArrays.push(this._repeatToArrayLength(charClass.chars));
+      }
+
+      if(charArrays.length > count)
+        throw new PasstasticError('Passtastic._getStandardCharArrays() - The policy requires more than ' + count + ' characters.', PasstasticError.INVALID_ARGUMENT);
+
       //All remaining arrays contain all characters, inserted cyclically
-      var allChars = LOWER_CASE_CHARS + UPPER_CASE_CHARS + NUMERICAL_CHARS + (useSpecialChars ? SPECIAL_CHARS : ''),
-          curStrIdx = useSpecialChars ? 4 : 3,
+      var allChars = policy.allChars,
+          curStrIdx = charArrays.length,
           curCharIdx = 0;
+
+      while(charArrays.length < count)
+        charArrays.push('');
       for(; curStrIdx < charArrays.length && charArrays[curStrIdx].length < CHAR_ARRAY_LEN; curStrIdx++) {
         for(; charArrays[curStrIdx].length < CHAR_ARRAY_LEN; curCharIdx++) {
-          if(curCharIdx > allChars.length)
+          //v0.2 compared with >, which appended an empty string before wrapping around. As that didn't
+          // change the arrays, the fix applies to all versions.
+          if(curCharIdx >= allChars.length)
             curCharIdx = 0;
 
           charArrays[curStrIdx] += allChars.charAt(curCharIdx);
@@ -266,7 +1934,21 @@
     },
 
     /**
-     * Shuffles a 16-member array via binary-tree selection using a binary string
+     * Repeats a string until it is exactly as long as a character array
+     * 
+     * @param chars string
+     * @return string
+     */
+    _repeatToArrayLength : function(chars) {
+      var result = '';
+      while(result.length < CHAR_ARRAY_LEN)
+        result += chars;
+
+      return result.substring(0, CHAR_ARRAY_LEN);
+    },
+
+    /**
+     * Shuffles an array via binary-tree selection using a binary string
      * as an entropy source.
      * 
      * The shuffle is performed by repeatedly dividing the array in half. If the next
@@ -307,9 +1989,9 @@
           else if(bit == '0')
             stagingArray.splice(middle); //Remove the upper half
           else if(bit == '')
-            throw('Passtastic._shuffle() - There is an error in the logic in this function. We seem to have run out of bits before we could select an item.');
+            throw new PasstasticError('Passtastic._shuffle() - There is an error in the logic in this function. We seem to have run out of bits before we could select an item.', PasstasticError.INTERNAL_ERROR);
           else
-            throw('Passtastic._shuffle() - The passed binary string is invalid. It contains the character "'+bit+'", which is not a 0 or 1.');
+            throw new PasstasticError('Passtastic._shuffle() - The passed binary string is invalid. It contains the character "'+bit+'", which is not a 0 or 1.', PasstasticError.INTERNAL_ERROR);
         }
 
         items.splice(items.indexOf(stagingArray[0]), 1);
@@ -327,7 +2009,7 @@
      */
     _getRequiredBits : function(length) {
       if(!length)
-        throw('Passtastic._getRequiredBits() - Invalid length parameter.');
+        throw new PasstasticError('Passtastic._getRequiredBits() - Invalid length parameter.', PasstasticError.INTERNAL_ERROR);
 
       var i = 0, maxBits = 1;
       while(++i < 10) {
@@ -337,7 +2019,7 @@
       }
 
       //This is a lazy implementation, but for small numbers that doesn't matter. Will rewrite later if I ever need support for larger lengths
-      throw('Passtastic._getRequiredBits() - You passed a length requiring more than 10 bits. This function should be rewritten to use log functions if you want to use it for larger numbers.');
+      throw new PasstasticError('Passtastic._getRequiredBits() - You passed a length requiring more than 10 bits. This function should be rewritten to use log functions if you want to use it for larger numbers.', PasstasticError.INTERNAL_ERROR);
     }
   };
-})(window);
\ No newline at end of file
+});
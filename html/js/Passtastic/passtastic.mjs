@@ -0,0 +1,12 @@
+/**
+ * passtastic.mjs
+ *
+ * The ES module version of Passtastic, for Node.js and bundlers. Browsers without a bundler load
+ * passtastic.js with a script tag instead.
+ *
+ *   import Passtastic from 'passtastic';
+ */
+import Passtastic from './passtastic.js';
+
+export default Passtastic;
+export var PasstasticError = Passtastic.PasstasticError;
@@ -0,0 +1,158 @@
+/**
+ * profile-store.js
+ *
+ * Remembers the settings each site's password was generated with, so that they don't have to be
+ * remembered by the user: a profile holds the options of Passtastic.getPassword() for one site,
+ * plus the user name.
+ *
+ * Only the fields in PROFILE_FIELDS are ever stored, plus the time of the last change (modified,
+ * an ISO 8601 string) for merging profiles from other machines. The master password and generated
+ * passwords are secrets and must never end up in a profile, so everything else is dropped.
+ *
+ * The profiles are stored in localStorage. Browsers may refuse access to it (eg for file://
+ * pages), in which case nothing is remembered.
+ *
+ * Exports an object with the functions getAll(), get(), find(), set(), setAll() and remove() as a
+ * CommonJS module, or defines it as the global ProfileStore when loaded with a script tag. Either way
+ * it uses the global localStorage, if there is one.
+ */
+(function(root, factory) {
+  if(typeof module === 'object' && module.exports)
+    module.exports = factory();
+  else
+    root.ProfileStore = factory();
+})(this, function() {
+  "use strict";
+
+  var STORAGE_KEY = 'passtastic.profiles';
+
+  /**
+   * The non-secret settings a profile may contain: the user name and the options of getPassword()
+   */
+  var PROFILE_FIELDS = ['userName', 'normalizeSite', 'length', 'useSpecialChars', 'policy', 'passphrase', 'template', 'counter', 'version', 'kdf', 'cost', 'kdfParams'];
+
+  function save(profiles)
+  {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    } catch(error) {}
+  }
+
+  /*
+   * Gets all profiles as an object that maps each site to its profile
+   */
+  function getAll()
+  {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch(error) {
+      return {};
+    }
+  }
+
+  /*
+   * Gets the profile of a site, or null if there is none
+   */
+  function get(site)
+  {
+    var profiles = getAll();
+    return profiles.hasOwnProperty(site) ? profiles[site] : null;
+  }
+
+  /*
+   * Looks up the profile of a site as it is and by its registrable domain, so that a profile saved
+   * with normalizeSite is found whether or not it is asked for. Profiles from before they remembered
+   * normalizeSite get it from where they are found: a profile stored under the domain of a site that
+   * isn't a domain itself was saved with it.
+   *
+   * @param site string - The site as Passtastic.getSite() hashes it without normalizeSite
+   * @param domain string - The same with normalizeSite
+   * @return object|null - A copy of the profile, with normalizeSite set where it is known
+   */
+  function find(site, domain)
+  {
+    var profile = get(site),
+        result = {};
+
+    if(profile && profile.normalizeSite !== true) {
+      if(site !== domain)
+        result.normalizeSite = false;
+    } else {
+      profile = get(domain);
+      if(!profile || profile.normalizeSite === false)
+        return null;
+
+      result.normalizeSite = true;
+    }
+
+    for(var field in profile) {
+      if(profile.hasOwnProperty(field))
+        result[field] = profile[field];
+    }
+
+    return result;
+  }
+
+  /*
+   * Copies the fields of a profile that may be stored
+   */
+  function clean(profile, modified)
+  {
+    var result = {};
+
+    for(var i = 0; i < PROFILE_FIELDS.length; i++) {
+      if(profile[PROFILE_FIELDS[i]] !== undefined)
+        result[PROFILE_FIELDS[i]] = profile[PROFILE_FIELDS[i]];
+    }
+    if(modified)
+      result.modified = String(modified);
+
+    return result;
+  }
+
+  /*
+   * Stores the profile of a site, replacing any previous one. Fields that aren't in
+   * PROFILE_FIELDS are dropped.
+   */
+  function set(site, profile)
+  {
+    var profiles = getAll();
+
+    profiles[site] = clean(profile, new Date().toISOString());
+    save(profiles);
+  }
+
+  /*
+   * Replaces all profiles, eg with the result of ProfileSync.merge(). The profiles keep their
+   * modification times.
+   */
+  function setAll(profiles)
+  {
+    var stored = {};
+
+    for(var site in profiles) {
+      if(profiles.hasOwnProperty(site))
+        stored[site] = clean(profiles[site], profiles[site].modified);
+    }
+
+    save(stored);
+  }
+
+  function remove(site)
+  {
+    var profiles = getAll();
+
+    delete profiles[site];
+    save(profiles);
+  }
+
+  return {
+    PROFILE_FIELDS : PROFILE_FIELDS,
+    getAll : getAll,
+    get : get,
+    find : find,
+    set : set,
+    setAll : setAll,
+    remove : remove
+  };
+});
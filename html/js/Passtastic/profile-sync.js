@@ -0,0 +1,388 @@
+/**
+ * profile-sync.js
+ *
+ * Moves the site profiles of profile-store.js between machines: exportProfiles() writes them to a
+ * versioned JSON file, importProfiles() reads them back and merge() combines them with the local
+ * ones. Depends on passtastic.js and sha256.js.
+ *
+ * Profiles contain no secrets, but they do list the sites and user names of their owner, so the
+ * file can be encrypted with a key derived from the master password by bcrypt (see
+ * Passtastic.deriveKey()). It is encrypted with AES-256-GCM of the browser's WebCrypto API, which
+ * authenticates the header (format, version, algorithm, cost, salt and iv) along with the
+ * ciphertext. The AES key is an HMAC of bcrypt's key with a fixed label. A wrong master password
+ * or a modified file fails authentication, so nothing is decrypted then.
+ *
+ * Imported profiles are checked like the options of Passtastic.getPassword(), and the bcrypt cost
+ * of the file and of each profile may be at most 20, like passtastic.html offers, so that a
+ * crafted file can't keep the page busy for days.
+ *
+ * An unencrypted file looks like this:
+ *
+ *   { "format" : "passtastic-profiles", "version" : 1, "profiles" : { "github.com" : {...} } }
+ *
+ * An encrypted one has the properties encryption (algorithm, cost, salt and iv, the latter two in
+ * hex) and ciphertext (hex, with the GCM tag at the end) instead of
+ * profiles.
+ *
+ * Defines the global object ProfileSync with the functions exportProfiles(), importProfiles() and
+ * merge().
+ */
+(function(global) {
+  "use strict";
+
+  var FORMAT = 'passtastic-profiles';
+  var FORMAT_VERSION = 1; //Raise this if the file format changes, and keep reading the old versions
+  var ENCRYPTION_ALGORITHM = 'bcrypt-aes-256-gcm';
+  var DEFAULT_COST = 12;
+  var MIN_COST = 4, MAX_COST = 20; //As passtastic.html offers them
+  var SALT_BYTES = 16; //As bcrypt takes them
+  var IV_BYTES = 12; //As recommended for GCM
+  var ENCRYPTION_LABEL = 'Passtastic profile encryption';
+
+  function randomBytes(length)
+  {
+    var bytes;
+
+    if(!global.crypto || !global.crypto.getRandomValues)
+      throw new Passtastic.PasstasticError('ProfileSync - This browser has no secure random number generator, so profiles can\'t be encrypted.', Passtastic.PasstasticError.INTERNAL_ERROR);
+
+    bytes = new Uint8Array(length);
+    global.crypto.getRandomValues(bytes);
+
+    return Array.prototype.slice.call(bytes);
+  }
+
+  function fromHex(hex, name)
+  {
+    var bytes = [];
+
+    if(typeof hex !== 'string' || !/^([0-9a-f]{2})*$/i.test(hex))
+      throw invalidFile('The ' + name + ' is not hexadecimal.');
+
+    for(var i = 0; i < hex.length; i += 2)
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+
+    return bytes;
+  }
+
+  /*
+   * Decodes an array of UTF-8 bytes. Throws a URIError if they aren't valid UTF-8.
+   */
+  function fromUtf8(bytes)
+  {
+    var encoded = '';
+
+    for(var i = 0; i < bytes.length; i++)
+      encoded += (bytes[i] < 16 ? '%0' : '%') + bytes[i].toString(16);
+
+    return decodeURIComponent(encoded);
+  }
+
+  function invalidFile(message)
+  {
+    return new Passtastic.PasstasticError('ProfileSync.importProfiles() - ' + message, Passtastic.PasstasticError.INVALID_ARGUMENT);
+  }
+
+  /*
+   * Gets the WebCrypto API, which browsers only offer to pages loaded over HTTPS or from the local machine
+   */
+  function getSubtle(functionName)
+  {
+    if(!global.crypto || !global.crypto.subtle)
+      throw new Passtastic.PasstasticError('ProfileSync.' + functionName + '() - This browser doesn\'t offer the WebCrypto API to this page, so profiles can\'t be encrypted or decrypted. Open Passtastic over HTTPS.', Passtastic.PasstasticError.INTERNAL_ERROR);
+
+    return global.crypto.subtle;
+  }
+
+  /*
+   * Throws unless a bcrypt cost is an integer between MIN_COST and MAX_COST
+   */
+  function checkCost(cost, error)
+  {
+    if(cost !== parseInt(cost, 10) || cost < MIN_COST || cost > MAX_COST)
+      throw error('The bcrypt cost must be an integer between ' + MIN_COST + ' and ' + MAX_COST + ', but was ' + cost + '.');
+  }
+
+  /*
+   * Checks imported profiles and copies them, with only the fields a profile may contain. Throws if a site
+   * or a profile is invalid, so that either all profiles of a file are imported or none.
+   */
+  function checkProfiles(profiles)
+  {
+    var fields = ProfileStore.PROFILE_FIELDS,
+        result = {},
+        site, profile, options, copy, i;
+
+    if(!profiles || typeof profiles !== 'object' || Array.isArray(profiles))
+      throw invalidFile('The file contains no profiles.');
+
+    for(site in profiles) {
+      if(!profiles.hasOwnProperty(site))
+        continue;
+
+      //Assigning __proto__ would replace the prototype of the result instead
+      if(site === '__proto__' || !site)
+        throw invalidFile('The file contains a profile for the invalid site "' + site + '".');
+
+      profile = profiles[site];
+      if(!profile || typeof profile !== 'object' || Array.isArray(profile))
+        throw invalidFile('The profile of ' + site + ' is not an object.');
+      if(profile.userName !== undefined && typeof profile.userName !== 'string')
+        throw invalidFile('The user name of ' + site + ' is not a string.');
+      if(profile.modified !== undefined && (typeof profile.modified !== 'string' || isNaN(Date.parse(profile.modified))))
+        throw invalidFile('The modification time of ' + site + ' is not a date.');
+      if(profile.cost !== undefined)
+        checkCost(profile.cost, function(message) {
+          return invalidFile('The profile of ' + site + ' is invalid. ' + message);
+        });
+
+      copy = {};
+      options = {};
+      for(i = 0; i < fields.length; i++) {
+        if(profile[fields[i]] === undefined)
+          continue;
+
+        copy[fields[i]] = profile[fields[i]];
+        if(fields[i] !== 'userName')
+          options[fields[i]] = profile[fields[i]];
+      }
+      if(profile.modified !== undefined)
+        copy.modified = profile.modified;
+
+      //The rest of the profile is what getPassword() takes as options, which it checks just as well
+      try {
+        Passtastic._normalizeOptions(options);
+      } catch(error) {
+        throw invalidFile('The profile of ' + site + ' is invalid. ' + String(error.message || error).replace(/^Passtastic\.[^ ]+ - /, ''));
+      }
+
+      result[site] = JSON.parse(JSON.stringify(copy));
+    }
+
+    return result;
+  }
+
+  /*
+   * Gets the data that AES-GCM authenticates along with the ciphertext: everything the decryption depends on
+   */
+  function getHeader(file)
+  {
+    var encryption = file.encryption;
+    return new Uint8Array(sha256.utf8([file.format, file.version, encryption.algorithm, encryption.cost, encryption.salt, encryption.iv].join('|')));
+  }
+
+  /*
+   * Derives the AES-GCM key from the master password
+   */
+  function deriveAesKey(masterPw, salt, cost, options, usage)
+  {
+    return Passtastic.deriveKey(masterPw, salt, { cost : cost, useWorker : options.useWorker, progress : options.progress }).then(function(key) {
+      return getSubtle(usage === 'encrypt' ? 'exportProfiles' : 'importProfiles').importKey('raw', new Uint8Array(sha256.hmac(key, sha256.utf8(ENCRYPTION_LABEL))), { name : 'AES-GCM' }, false, [usage]);
+    });
+  }
+
+  /**
+   * Writes profiles to a file.
+   *
+   * @param profiles object - Maps each site to its profile, like ProfileStore.getAll()
+   * @param masterPw string|null - The key of the encryption. If it's null or empty, the file isn't encrypted.
+   * @param options object - Optional:
+   *        - integer cost: The bcrypt work factor for the key, between 4 and 20. Defaults to 12.
+   *        - bool useWorker, function progress: See Passtastic.deriveKey()
+   * @return Promise resolved with the content of the file. Encrypting it needs the WebCrypto API.
+   */
+  function exportProfiles(profiles, masterPw, options)
+  {
+    var file = { format : FORMAT, version : FORMAT_VERSION };
+    options = options || {};
+
+    if(!masterPw) {
+      file.profiles = profiles;
+      return Promise.resolve(JSON.stringify(file, null, 2));
+    }
+
+    return new Promise(function(resolve) {
+      var salt = randomBytes(SALT_BYTES),
+          iv = randomBytes(IV_BYTES),
+          cost = options.cost === undefined ? DEFAULT_COST : options.cost;
+
+      checkCost(cost, function(message) {
+        return new Passtastic.PasstasticError('ProfileSync.exportProfiles() - ' + message, Passtastic.PasstasticError.INVALID_ARGUMENT);
+      });
+      getSubtle('exportProfiles');
+
+      file.encryption = {
+        algorithm : ENCRYPTION_ALGORITHM,
+        cost : cost,
+        salt : sha256.toHex(salt),
+        iv : sha256.toHex(iv)
+      };
+
+      resolve(deriveAesKey(masterPw, salt, cost, options, 'encrypt').then(function(key) {
+        return getSubtle('exportProfiles').encrypt({ name : 'AES-GCM', iv : new Uint8Array(iv), additionalData : getHeader(file) }, key, new Uint8Array(sha256.utf8(JSON.stringify(profiles))));
+      }).then(function(ciphertext) {
+        file.ciphertext = sha256.toHex(Array.prototype.slice.call(new Uint8Array(ciphertext)));
+        return JSON.stringify(file, null, 2);
+      }));
+    });
+  }
+
+  /**
+   * Reads profiles from a file written by exportProfiles().
+   *
+   * @param text string - The content of the file
+   * @param masterPw string|null - Needed if the file is encrypted
+   * @param options object - Optional, bool useWorker and function progress (see Passtastic.deriveKey())
+   * @return Promise resolved with the profiles, with only the fields of ProfileStore.PROFILE_FIELDS and modified.
+   *         It is rejected with a PasstasticError with code INVALID_ARGUMENT if the file can't be read, a profile is
+   *         invalid, or the master password is missing or wrong.
+   */
+  function importProfiles(text, masterPw, options)
+  {
+    options = options || {};
+
+    return new Promise(function(resolve) {
+      var file, encryption, salt, iv, ciphertext;
+
+      try {
+        file = JSON.parse(text);
+      } catch(error) {
+        throw invalidFile('The file is not a Passtastic profile file.');
+      }
+
+      if(!file || file.format !== FORMAT)
+        throw invalidFile('The file is not a Passtastic profile file.');
+      if(file.version !== FORMAT_VERSION)
+        throw invalidFile('Version ' + file.version + ' of the profile file format is not supported. Please update Passtastic.');
+
+      if(!file.encryption)
+        return resolve(checkProfiles(file.profiles));
+
+      encryption = file.encryption;
+      if(typeof encryption !== 'object' || encryption.algorithm !== ENCRYPTION_ALGORITHM)
+        throw invalidFile('The file is encrypted with ' + encryption.algorithm + ', which is not supported.');
+      if(!masterPw)
+        throw invalidFile('The file is encrypted. Please enter the master password.');
+
+      checkCost(encryption.cost, invalidFile);
+      salt = fromHex(encryption.salt, 'salt');
+      iv = fromHex(encryption.iv, 'iv');
+      ciphertext = fromHex(file.ciphertext, 'ciphertext');
+      if(salt.length !== SALT_BYTES)
+        throw invalidFile('The salt must be ' + SALT_BYTES + ' bytes long.');
+      if(iv.length !== IV_BYTES)
+        throw invalidFile('The iv must be ' + IV_BYTES + ' bytes long.');
+      getSubtle('importProfiles');
+
+      resolve(deriveAesKey(masterPw, salt, encryption.cost, options, 'decrypt').then(function(key) {
+        return getSubtle('importProfiles').decrypt({ name : 'AES-GCM', iv : new Uint8Array(iv), additionalData : getHeader(file) }, key, new Uint8Array(ciphertext)).catch(function() {
+          throw invalidFile('The master password is wrong, or the file has been modified.');
+        });
+      }).then(function(plaintext) {
+        return parseProfiles(Array.prototype.slice.call(new Uint8Array(plaintext)));
+      }));
+    });
+  }
+
+  /*
+   * Reads the profiles from a decrypted file
+   */
+  function parseProfiles(bytes)
+  {
+    var profiles;
+
+    try {
+      profiles = JSON.parse(fromUtf8(bytes));
+    } catch(error) {
+      throw invalidFile('The decrypted file contains no profiles.');
+    }
+
+    return checkProfiles(profiles);
+  }
+
+  /*
+   * Compares two profiles, ignoring when they were modified
+   */
+  function isSameProfile(a, b)
+  {
+    var fields = ProfileStore.PROFILE_FIELDS;
+
+    for(var i = 0; i < fields.length; i++) {
+      if(JSON.stringify(a[fields[i]]) !== JSON.stringify(b[fields[i]]))
+        return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Merges imported profiles into the local ones. Sites that only have an imported profile get it.
+   * Where both differ, the strategy decides:
+   *
+   * - 'newer': The profile that was modified last wins. If that can't be told, because a profile has
+   *   no modification time or both have the same one, the local profile is kept.
+   * - 'local': The local profile is kept.
+   * - 'imported': The imported profile replaces the local one.
+   *
+   * @param local object - The local profiles, like ProfileStore.getAll()
+   * @param imported object - The imported profiles, like importProfiles() resolves with
+   * @param strategy string - Optional, 'newer' (default), 'local' or 'imported'
+   * @return object with the properties:
+   *         - profiles: The merged profiles, for ProfileStore.setAll()
+   *         - added: The sites that only had an imported profile
+   *         - updated: The sites whose local profile was replaced
+   *         - conflicts: The sites whose profiles differ, each as an object with the properties site, local,
+   *           imported and kept ('local' or 'imported')
+   */
+  function merge(local, imported, strategy)
+  {
+    var result = { profiles : {}, added : [], updated : [], conflicts : [] },
+        site, mine, theirs, kept;
+
+    strategy = strategy || 'newer';
+    if(strategy !== 'newer' && strategy !== 'local' && strategy !== 'imported')
+      throw new Passtastic.PasstasticError('ProfileSync.merge() - Unknown strategy ' + strategy, Passtastic.PasstasticError.INVALID_ARGUMENT);
+
+    for(site in local) {
+      if(local.hasOwnProperty(site))
+        result.profiles[site] = local[site];
+    }
+
+    for(site in imported) {
+      //Assigning __proto__ would replace the prototype of the result instead
+      if(!imported.hasOwnProperty(site) || site === '__proto__' || !imported[site] || typeof imported[site] !== 'object')
+        continue;
+
+      mine = local.hasOwnProperty(site) ? local[site] : null;
+      theirs = imported[site];
+
+      if(!mine) {
+        result.profiles[site] = theirs;
+        result.added.push(site);
+        continue;
+      }
+      if(isSameProfile(mine, theirs))
+        continue;
+
+      //Compared as times, as the strings may be in any format Date.parse() reads
+      if(strategy === 'newer')
+        kept = Date.parse(theirs.modified) > Date.parse(mine.modified) ? 'imported' : 'local';
+      else
+        kept = strategy;
+
+      if(kept === 'imported') {
+        result.profiles[site] = theirs;
+        result.updated.push(site);
+      }
+      result.conflicts.push({ site : site, local : mine, imported : theirs, kept : kept });
+    }
+
+    return result;
+  }
+
+  global.ProfileSync = {
+    exportProfiles : exportProfiles,
+    importProfiles : importProfiles,
+    merge : merge
+  };
+})(this);
@@ -0,0 +1,203 @@
+/**
+ * scrypt.js
+ *
+ * The scrypt key derivation function (RFC 7914) for Passtastic. Depends on sha256.js for
+ * PBKDF2-HMAC-SHA-256.
+ *
+ * Like bCrypt.crypt_raw(), the memory-hard part runs in slices of MAX_EXECUTION_TIME milliseconds
+ * so that a page stays responsive, and reports its progress approx. 100 times.
+ *
+ * Exports the function scrypt() as a CommonJS module, or defines it as a global when loaded with a
+ * script tag (after sha256.js).
+ */
+(function(root, factory) {
+  if(typeof module === 'object' && module.exports)
+    module.exports = factory(require('./sha256.js'));
+  else
+    root.scrypt = factory(root.sha256);
+})(this, function(sha256) {
+  "use strict";
+
+  var MAX_EXECUTION_TIME = 100;
+  var MAX_MEMORY = 1024 * 1024 * 1024; //Refuse parameters that need more than 1 GiB
+
+  /*
+   * The Salsa20/8 core, applied in place to 16 words of B. x is scratch space for 16 words.
+   */
+  function salsa20_8(B, x)
+  {
+    var i, u;
+
+    for(i = 0; i < 16; i++)
+      x[i] = B[i];
+
+    for(i = 8; i > 0; i -= 2) {
+      u = x[ 0] + x[12]; x[ 4] ^= (u << 7) | (u >>> 25);
+      u = x[ 4] + x[ 0]; x[ 8] ^= (u << 9) | (u >>> 23);
+      u = x[ 8] + x[ 4]; x[12] ^= (u << 13) | (u >>> 19);
+      u = x[12] + x[ 8]; x[ 0] ^= (u << 18) | (u >>> 14);
+      u = x[ 5] + x[ 1]; x[ 9] ^= (u << 7) | (u >>> 25);
+      u = x[ 9] + x[ 5]; x[13] ^= (u << 9) | (u >>> 23);
+      u = x[13] + x[ 9]; x[ 1] ^= (u << 13) | (u >>> 19);
+      u = x[ 1] + x[13]; x[ 5] ^= (u << 18) | (u >>> 14);
+      u = x[10] + x[ 6]; x[14] ^= (u << 7) | (u >>> 25);
+      u = x[14] + x[10]; x[ 2] ^= (u << 9) | (u >>> 23);
+      u = x[ 2] + x[14]; x[ 6] ^= (u << 13) | (u >>> 19);
+      u = x[ 6] + x[ 2]; x[10] ^= (u << 18) | (u >>> 14);
+      u = x[15] + x[11]; x[ 3] ^= (u << 7) | (u >>> 25);
+      u = x[ 3] + x[15]; x[ 7] ^= (u << 9) | (u >>> 23);
+      u = x[ 7] + x[ 3]; x[11] ^= (u << 13) | (u >>> 19);
+      u = x[11] + x[ 7]; x[15] ^= (u << 18) | (u >>> 14);
+      u = x[ 0] + x[ 3]; x[ 1] ^= (u << 7) | (u >>> 25);
+      u = x[ 1] + x[ 0]; x[ 2] ^= (u << 9) | (u >>> 23);
+      u = x[ 2] + x[ 1]; x[ 3] ^= (u << 13) | (u >>> 19);
+      u = x[ 3] + x[ 2]; x[ 0] ^= (u << 18) | (u >>> 14);
+      u = x[ 5] + x[ 4]; x[ 6] ^= (u << 7) | (u >>> 25);
+      u = x[ 6] + x[ 5]; x[ 7] ^= (u << 9) | (u >>> 23);
+      u = x[ 7] + x[ 6]; x[ 4] ^= (u << 13) | (u >>> 19);
+      u = x[ 4] + x[ 7]; x[ 5] ^= (u << 18) | (u >>> 14);
+      u = x[10] + x[ 9]; x[11] ^= (u << 7) | (u >>> 25);
+      u = x[11] + x[10]; x[ 8] ^= (u << 9) | (u >>> 23);
+      u = x[ 8] + x[11]; x[ 9] ^= (u << 13) | (u >>> 19);
+      u = x[ 9] + x[ 8]; x[10] ^= (u << 18) | (u >>> 14);
+      u = x[15] + x[14]; x[12] ^= (u << 7) | (u >>> 25);
+      u = x[12] + x[15]; x[13] ^= (u << 9) | (u >>> 23);
+      u = x[13] + x[12]; x[14] ^= (u << 13) | (u >>> 19);
+      u = x[14] + x[13]; x[15] ^= (u << 18) | (u >>> 14);
+    }
+
+    for(i = 0; i < 16; i++)
+      B[i] = (B[i] + x[i]) | 0;
+  }
+
+  /*
+   * scryptBlockMix: mixes the first 32*r words of XY, using the second 32*r words as scratch space
+   */
+  function blockMix(XY, r, X, x)
+  {
+    var i, j, Y = 32 * r;
+
+    for(j = 0; j < 16; j++)
+      X[j] = XY[(2 * r - 1) * 16 + j];
+
+    for(i = 0; i < 2 * r; i++) {
+      for(j = 0; j < 16; j++)
+        X[j] ^= XY[i * 16 + j];
+      salsa20_8(X, x);
+      for(j = 0; j < 16; j++)
+        XY[Y + i * 16 + j] = X[j];
+    }
+
+    //The even blocks go to the first half, the odd ones to the second
+    for(i = 0; i < r; i++) {
+      for(j = 0; j < 16; j++) {
+        XY[i * 16 + j] = XY[Y + (i * 2) * 16 + j];
+        XY[(i + r) * 16 + j] = XY[Y + (i * 2 + 1) * 16 + j];
+      }
+    }
+  }
+
+  /*
+   * Derives dkLen bytes from a password and a salt (arrays of bytes) with scrypt.
+   *
+   * params: { N : CPU/memory cost, a power of 2; r : block size; p : parallelization }
+   * callback: passed the derived key as an array of bytes
+   * progress: optional, called approx. 100 times while the key is derived
+   *
+   * Returns an object with a cancel() method, which stops the derivation without calling
+   * the callback.
+   */
+  function scrypt(password, salt, params, dkLen, callback, progress)
+  {
+    var N = params.N, r = params.r, p = params.p;
+
+    if(!(N > 1) || (N & (N - 1)) !== 0)
+      throw "scrypt: N must be a power of 2 greater than 1";
+    if(r !== parseInt(r, 10) || r < 1 || p !== parseInt(p, 10) || p < 1)
+      throw "scrypt: r and p must be positive integers";
+    if(128 * r * N > MAX_MEMORY || r * p >= 0x40000000)
+      throw "scrypt: The parameters require too much memory";
+
+    var B = sha256.pbkdf2(password, salt, 1, p * 128 * r),
+        XY = new Int32Array(64 * r),
+        V = new Int32Array(32 * r * N),
+        X = new Int32Array(16),
+        x = new Int32Array(16),
+        blockWords = 32 * r,
+        totalSteps = 2 * N * p,
+        onePercent = Math.floor(totalSteps / 100) + 1,
+        step = 0, //Counts the ROMix iterations over all p blocks
+        cancelled = false,
+        k;
+
+    progress = progress || function() {};
+
+    //Copies block number i of B into the first half of XY, as little-endian words
+    function loadBlock(i) {
+      for(var k = 0; k < blockWords; k++) {
+        var offset = i * 128 * r + k * 4;
+        XY[k] = B[offset] | (B[offset + 1] << 8) | (B[offset + 2] << 16) | (B[offset + 3] << 24);
+      }
+    }
+
+    //The reverse of loadBlock()
+    function storeBlock(i) {
+      for(var k = 0; k < blockWords; k++) {
+        var offset = i * 128 * r + k * 4;
+        B[offset] = XY[k] & 0xff;
+        B[offset + 1] = (XY[k] >>> 8) & 0xff;
+        B[offset + 2] = (XY[k] >>> 16) & 0xff;
+        B[offset + 3] = (XY[k] >>> 24) & 0xff;
+      }
+    }
+
+    //Runs ROMix on each of the p blocks, one time slice at a time
+    function run() {
+      if(cancelled)
+        return;
+
+      var start = new Date(), block, iteration, j;
+
+      while(step < totalSteps) {
+        block = Math.floor(step / (2 * N));
+        iteration = step % (2 * N);
+
+        if(iteration === 0)
+          loadBlock(block);
+
+        if(iteration < N) { //First loop: fill V
+          V.set(XY.subarray(0, blockWords), iteration * blockWords);
+          blockMix(XY, r, X, x);
+        } else { //Second loop: mix in pseudo-random entries of V
+          j = XY[(2 * r - 1) * 16] & (N - 1);
+          for(k = 0; k < blockWords; k++)
+            XY[k] ^= V[j * blockWords + k];
+          blockMix(XY, r, X, x);
+        }
+
+        if(iteration === 2 * N - 1)
+          storeBlock(block);
+
+        if(++step % onePercent === 0)
+          progress();
+
+        if(step % 256 === 0 && (new Date() - start) > MAX_EXECUTION_TIME) {
+          setTimeout(run, 0);
+          return;
+        }
+      }
+
+      callback(sha256.pbkdf2(password, B, 1, dkLen));
+    }
+
+    setTimeout(run, 0);
+
+    return {
+      cancel : function() {
+        cancelled = true;
+      }
+    };
+  }
+
+  return scrypt;
+});
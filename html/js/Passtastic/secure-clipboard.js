@@ -0,0 +1,233 @@
+/**
+ * secure-clipboard.js
+ *
+ * Copies a password to the clipboard and clears it again after a delay, so that it doesn't sit
+ * there for whatever gets pasted next. The clipboard is only cleared if it still holds the
+ * password: anything the user has copied since is left alone. Checking what it holds needs the
+ * permission to read it, which the browser may ask the user for, and some browsers (eg Firefox) don't
+ * let pages read it at all. Then the clipboard can't be checked and is left alone, and the outcome
+ * is 'unknown', so that the user can be told to clear it by hand.
+ *
+ * The clipboard is cleared as soon as the delay runs out. Browsers may only let a page at the
+ * clipboard while it has the focus, though, so if the user is in another window then, the
+ * clipboard is cleared once they come back.
+ *
+ * The delay is stored in localStorage. Browsers may refuse access to it (eg for file:// pages), in
+ * which case the default is used.
+ *
+ * Defines the global object SecureClipboard with the functions copy(), clear(), cancel(),
+ * getDelay() and setDelay().
+ */
+(function(global) {
+  "use strict";
+
+  var STORAGE_KEY = 'passtastic.clipboardDelay';
+  var DEFAULT_DELAY = 30; //In seconds
+
+  var pending = null; //The copied text and its countdown, until the clipboard has been cleared
+
+  /*
+   * Writes text to the clipboard. Where the asynchronous clipboard API is missing, it is copied from
+   * a temporary text field instead, which only works while handling a click or a key press.
+   */
+  function write(text)
+  {
+    var document = global.document,
+        field, isCopied;
+
+    if(global.navigator.clipboard && global.navigator.clipboard.writeText)
+      return global.navigator.clipboard.writeText(text);
+
+    field = document.createElement('textarea');
+    field.value = text;
+    field.setAttribute('readonly', 'readonly');
+    field.style.position = 'fixed';
+    field.style.opacity = '0';
+    document.body.appendChild(field);
+    field.select();
+
+    try {
+      isCopied = document.execCommand('copy');
+    } catch(error) {
+      isCopied = false;
+    }
+    document.body.removeChild(field);
+
+    return isCopied ? Promise.resolve() : Promise.reject(new Error('SecureClipboard.copy() - This browser does not let the page copy to the clipboard.'));
+  }
+
+  function canRead()
+  {
+    return !!(global.navigator.clipboard && global.navigator.clipboard.readText);
+  }
+
+  function read()
+  {
+    if(!canRead())
+      return Promise.reject(new Error('SecureClipboard - The clipboard can\'t be read.'));
+
+    return global.navigator.clipboard.readText();
+  }
+
+  /*
+   * Stops the countdown of the pending copy, and forgets it
+   */
+  function stop()
+  {
+    if(!pending)
+      return;
+
+    global.clearInterval(pending.interval);
+    global.removeEventListener('focus', pending.onFocus);
+    pending = null;
+  }
+
+  /*
+   * Clears the clipboard if it still holds the text. Resolves with 'cleared', 'changed' (it holds
+   * something else) or 'unknown' (it couldn't be read or cleared).
+   */
+  function clearText(text)
+  {
+    return read().then(function(content) {
+      if(content !== text)
+        return 'changed';
+
+      return global.navigator.clipboard.writeText('').then(function() {
+        return 'cleared';
+      });
+    }).catch(function() {
+      return 'unknown';
+    });
+  }
+
+  /*
+   * Clears the clipboard of the pending copy, or tries again once the page has the focus if the
+   * browser doesn't allow it without. Where the clipboard can't be read at all, trying again
+   * wouldn't help.
+   */
+  function clearPending()
+  {
+    var copied = pending;
+
+    clearText(copied.text).then(function(result) {
+      if(pending !== copied) //Cancelled or replaced in the meantime
+        return;
+
+      if(result === 'unknown' && canRead() && !global.document.hasFocus()) {
+        global.addEventListener('focus', copied.onFocus);
+        return;
+      }
+
+      stop();
+      copied.onDone(result);
+    });
+  }
+
+  /**
+   * Copies text to the clipboard and clears it after a delay. A copy that is still pending is
+   * forgotten, its clipboard content has been replaced anyway.
+   *
+   * @param text string
+   * @param options object - Optional:
+   *        - integer delay: The seconds after which the clipboard is cleared, 0 for never. Defaults to getDelay().
+   *        - function onTick: Called with the seconds left, right away and then every second
+   *        - function onDone: Called once the delay has run out and the clipboard has been dealt with, with
+   *          'cleared' if it has been cleared, 'changed' if it held something else by then and 'unknown' if it
+   *          couldn't be read or cleared, in which case it has been left alone
+   * @return Promise resolved once the text has been copied. It is rejected if the browser doesn't allow it.
+   */
+  function copy(text, options)
+  {
+    var delay, copied;
+
+    options = options || {};
+    delay = options.delay === undefined ? getDelay() : options.delay;
+    stop();
+
+    return write(text).then(function() {
+      if(!delay)
+        return;
+
+      copied = pending = {
+        text : text,
+        secondsLeft : delay,
+        onDone : options.onDone || function() {},
+        onFocus : function() {
+          if(pending === copied)
+            clearPending();
+        },
+        interval : global.setInterval(function() {
+          if(--copied.secondsLeft > 0) {
+            if(options.onTick)
+              options.onTick(copied.secondsLeft);
+            return;
+          }
+
+          global.clearInterval(copied.interval);
+          if(options.onTick)
+            options.onTick(0);
+          clearPending();
+        }, 1000)
+      };
+
+      if(options.onTick)
+        options.onTick(delay);
+    });
+  }
+
+  /**
+   * Clears the clipboard of a pending copy right away, if it still holds the copied text. May need the
+   * page to have the focus.
+   *
+   * @return Promise resolved with 'cleared', 'changed', 'unknown' (see copy()) or 'none' if no copy was pending
+   */
+  function clear()
+  {
+    var copied = pending;
+
+    if(!copied)
+      return Promise.resolve('none');
+
+    stop();
+    return clearText(copied.text);
+  }
+
+  /**
+   * Stops the countdown of a pending copy without clearing the clipboard
+   */
+  function cancel()
+  {
+    stop();
+  }
+
+  /*
+   * Gets the stored delay in seconds, 0 for never
+   */
+  function getDelay()
+  {
+    var delay;
+
+    try {
+      delay = parseInt(global.localStorage.getItem(STORAGE_KEY), 10);
+    } catch(error) {
+      delay = NaN;
+    }
+
+    return (isNaN(delay) || delay < 0) ? DEFAULT_DELAY : delay;
+  }
+
+  function setDelay(delay)
+  {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, String(delay));
+    } catch(error) {}
+  }
+
+  global.SecureClipboard = {
+    copy : copy,
+    clear : clear,
+    cancel : cancel,
+    getDelay : getDelay,
+    setDelay : setDelay
+  };
+})(this);
@@ -0,0 +1,189 @@
+/**
+ * sha256.js
+ *
+ * SHA-256 (FIPS 180-4), HMAC-SHA-256 (RFC 2104) and PBKDF2-HMAC-SHA-256 (RFC 8018) for
+ * Passtastic. All functions work on arrays of byte values (0-255) and return plain arrays,
+ * like bCrypt does.
+ *
+ * Exports an object with the functions hash(), hmac(), pbkdf2(), utf8() and toHex() as a CommonJS
+ * module, or defines it as the global sha256 when loaded with a script tag.
+ */
+(function(root, factory) {
+  if(typeof module === 'object' && module.exports)
+    module.exports = factory();
+  else
+    root.sha256 = factory();
+})(this, function() {
+  "use strict";
+
+  var K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ];
+
+  var BLOCK_SIZE = 64; //In bytes, for HMAC
+
+  /*
+   * Processes one 64-byte block of the padded message, updating the state H
+   */
+  function compress(H, W, bytes, offset)
+  {
+    var a, b, c, d, e, f, g, h, t1, t2, s0, s1, i;
+
+    for(i = 0; i < 16; i++)
+      W[i] = (bytes[offset + i*4] << 24) | (bytes[offset + i*4 + 1] << 16) | (bytes[offset + i*4 + 2] << 8) | bytes[offset + i*4 + 3];
+    for(i = 16; i < 64; i++) {
+      s0 = ((W[i-15] >>> 7) | (W[i-15] << 25)) ^ ((W[i-15] >>> 18) | (W[i-15] << 14)) ^ (W[i-15] >>> 3);
+      s1 = ((W[i-2] >>> 17) | (W[i-2] << 15)) ^ ((W[i-2] >>> 19) | (W[i-2] << 13)) ^ (W[i-2] >>> 10);
+      W[i] = (W[i-16] + s0 + W[i-7] + s1) | 0;
+    }
+
+    a = H[0]; b = H[1]; c = H[2]; d = H[3]; e = H[4]; f = H[5]; g = H[6]; h = H[7];
+
+    for(i = 0; i < 64; i++) {
+      s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+      s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+      h = g; g = f; f = e;
+      e = (d + t1) | 0;
+      d = c; c = b; b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    H[0] = (H[0] + a) | 0; H[1] = (H[1] + b) | 0; H[2] = (H[2] + c) | 0; H[3] = (H[3] + d) | 0;
+    H[4] = (H[4] + e) | 0; H[5] = (H[5] + f) | 0; H[6] = (H[6] + g) | 0; H[7] = (H[7] + h) | 0;
+  }
+
+  /*
+   * Calculates the SHA-256 hash of an array of bytes. Returns an array of 32 bytes.
+   */
+  function hash(bytes)
+  {
+    var H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19],
+        W = new Array(64),
+        length = bytes.length,
+        padded = Array.prototype.slice.call(bytes),
+        result = [],
+        i;
+
+    //Padding: a single 1 bit, zeros up to 8 bytes short of a block, then the length in bits (big endian)
+    padded.push(0x80);
+    while(padded.length % 64 != 56)
+      padded.push(0);
+    padded.push(0, 0, 0, Math.floor(length / 0x20000000) & 0xff); //The bit length overflows 32 bits at 512 MiB
+    padded.push((length >>> 21) & 0xff, (length >>> 13) & 0xff, (length >>> 5) & 0xff, (length << 3) & 0xff);
+
+    for(i = 0; i < padded.length; i += 64)
+      compress(H, W, padded, i);
+
+    for(i = 0; i < 8; i++)
+      result.push((H[i] >>> 24) & 0xff, (H[i] >>> 16) & 0xff, (H[i] >>> 8) & 0xff, H[i] & 0xff);
+
+    return result;
+  }
+
+  /*
+   * Calculates HMAC-SHA-256 of a message with a key, both arrays of bytes.
+   */
+  function hmac(key, message)
+  {
+    var inner = [], outer = [], i;
+
+    if(key.length > BLOCK_SIZE)
+      key = hash(key);
+
+    for(i = 0; i < BLOCK_SIZE; i++) {
+      inner.push((key[i] || 0) ^ 0x36);
+      outer.push((key[i] || 0) ^ 0x5c);
+    }
+
+    return hash(outer.concat(hash(inner.concat(Array.prototype.slice.call(message)))));
+  }
+
+  /*
+   * Derives dkLen bytes from a password and a salt with PBKDF2-HMAC-SHA-256.
+   */
+  function pbkdf2(password, salt, iterations, dkLen)
+  {
+    var result = [], block, u, t, i, j;
+
+    salt = Array.prototype.slice.call(salt);
+
+    for(block = 1; result.length < dkLen; block++) {
+      u = hmac(password, salt.concat([(block >>> 24) & 0xff, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff]));
+      t = u.slice();
+
+      for(i = 1; i < iterations; i++) {
+        u = hmac(password, u);
+        for(j = 0; j < t.length; j++)
+          t[j] ^= u[j];
+      }
+
+      result = result.concat(t);
+    }
+
+    return result.slice(0, dkLen);
+  }
+
+  /*
+   * Encodes a string as UTF-8. Returns an array of bytes. Unpaired surrogates are encoded
+   * as U+FFFD, as TextEncoder does.
+   */
+  function utf8(str)
+  {
+    var result = [], code, next;
+
+    for(var i = 0; i < str.length; i++) {
+      code = str.charCodeAt(i);
+
+      if(code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+        next = str.charCodeAt(i + 1);
+        if(next >= 0xdc00 && next <= 0xdfff) {
+          code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+          i++;
+        }
+      }
+      if(code >= 0xd800 && code <= 0xdfff)
+        code = 0xfffd;
+
+      if(code < 0x80)
+        result.push(code);
+      else if(code < 0x800)
+        result.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+      else if(code < 0x10000)
+        result.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      else
+        result.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+
+    return result;
+  }
+
+  /*
+   * Converts an array of bytes into a lower-case hex string
+   */
+  function toHex(bytes)
+  {
+    var result = '';
+    for(var i = 0; i < bytes.length; i++)
+      result += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+
+    return result;
+  }
+
+  return {
+    hash : hash,
+    hmac : hmac,
+    pbkdf2 : pbkdf2,
+    utf8 : utf8,
+    toHex : toHex
+  };
+});
@@ -0,0 +1,92 @@
+/**
+ * site-aliases.js
+ *
+ * The alias table for sites that share one login under several names - a service that moved to
+ * a new domain, or one sign-on used across sister domains. Each alias maps to the site whose
+ * password it shares. Pass the table to Passtastic as the siteAliases option.
+ *
+ * The table is kept flat: an alias always maps to a site that isn't an alias itself. Aliases and
+ * sites are stored trimmed and lower-cased, which is how Passtastic looks them up.
+ *
+ * The table is stored in localStorage. Browsers may refuse access to it (eg for file:// pages),
+ * in which case the table is empty and changes are lost.
+ *
+ * Defines the global object SiteAliases with the functions getAll(), set(), remove() and normalizeKey().
+ */
+(function(global) {
+  "use strict";
+
+  var STORAGE_KEY = 'passtastic.siteAliases';
+
+  /*
+   * Brings a site into the form in which it is stored and looked up
+   */
+  function normalizeKey(site)
+  {
+    return String(site).replace(/^\s+|\s+$/g, '').toLowerCase();
+  }
+
+  /*
+   * Gets the table as an object that maps each alias to its site
+   */
+  function getAll()
+  {
+    try {
+      return JSON.parse(global.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch(error) {
+      return {};
+    }
+  }
+
+  function save(aliases)
+  {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, JSON.stringify(aliases));
+    } catch(error) {}
+  }
+
+  /*
+   * Makes alias share the password of site. If site is an alias itself, alias gets its site, and
+   * aliases of alias move to site. Throws a string if the alias can't be added.
+   */
+  function set(alias, site)
+  {
+    var aliases = getAll();
+
+    alias = normalizeKey(alias);
+    site = normalizeKey(site);
+
+    if(!alias || !site)
+      throw 'SiteAliases.set() - Both the alias and the site must be given.';
+    if(aliases.hasOwnProperty(site))
+      site = aliases[site];
+    if(alias === site)
+      throw 'SiteAliases.set() - "' + alias + '" can\'t be an alias of itself.';
+
+    for(var key in aliases) {
+      if(aliases.hasOwnProperty(key) && aliases[key] === alias)
+        aliases[key] = site;
+    }
+    aliases[alias] = site;
+
+    save(aliases);
+  }
+
+  /*
+   * Removes an alias, so that it gets its own password again
+   */
+  function remove(alias)
+  {
+    var aliases = getAll();
+
+    delete aliases[normalizeKey(alias)];
+    save(aliases);
+  }
+
+  global.SiteAliases = {
+    getAll : getAll,
+    set : set,
+    remove : remove,
+    normalizeKey : normalizeKey
+  };
+})(this);
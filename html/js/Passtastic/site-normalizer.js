@@ -0,0 +1,122 @@
+/**
+ * site-normalizer.js
+ *
+ * Turns whatever is entered as a site - a domain in any capitalization, a URL pasted from the
+ * address bar - into its registrable domain ("eTLD+1"), so that "https://www.GitHub.com/login"
+ * and "github.com" give the same password. Which part of a host name is the public suffix is
+ * looked up in the Public Suffix List, so "bbc.co.uk" stays "bbc.co.uk" and "alice.github.io"
+ * stays "alice.github.io". Depends on public-suffix-list.js.
+ *
+ * Host names are compared as they are entered. Punycode ("xn--...") is not converted, so an
+ * internationalized domain only matches the list's rules in its Unicode form.
+ *
+ * Exports an object with the functions normalize(), getHost(), getPublicSuffix() and
+ * getRegistrableDomain() as a CommonJS module, or defines it as the global SiteNormalizer when
+ * loaded with a script tag (after public-suffix-list.js).
+ */
+(function(root, factory) {
+  if(typeof module === 'object' && module.exports)
+    module.exports = factory(require('./public-suffix-list.js'));
+  else
+    root.SiteNormalizer = factory(root.PUBLIC_SUFFIX_LIST);
+})(this, function(PUBLIC_SUFFIX_LIST) {
+  "use strict";
+
+  var rules = null; //PUBLIC_SUFFIX_LIST as an object with the rules as keys, built on first use
+
+  function getRules()
+  {
+    if(!rules) {
+      if(typeof PUBLIC_SUFFIX_LIST === 'undefined')
+        throw 'site-normalizer.js - This script is dependent on public-suffix-list.js, which appears not to have loaded.';
+
+      rules = {};
+      for(var i = 0; i < PUBLIC_SUFFIX_LIST.length; i++)
+        rules[PUBLIC_SUFFIX_LIST[i]] = true;
+    }
+
+    return rules;
+  }
+
+  /*
+   * Extracts the host name from a URL or a bare domain: lower-cased, without scheme, user info,
+   * port, path, query, fragment and trailing dot.
+   */
+  function getHost(input)
+  {
+    var host = String(input).replace(/^\s+|\s+$/g, '').toLowerCase();
+
+    host = host.replace(/^[a-z][a-z0-9+.\-]*:\/\//, ''); //Scheme
+    host = host.split(/[\/?#\\]/)[0]; //Path, query and fragment
+    host = host.replace(/^.*@/, ''); //User info
+
+    if(host.charAt(0) === '[') //IPv6 address, which contains colons of its own
+      return host.replace(/\].*$/, ']');
+
+    return host.replace(/:\d*$/, '').replace(/\.+$/, '');
+  }
+
+  /*
+   * Gets the public suffix of a host name (as returned by getHost()), following the algorithm
+   * at https://publicsuffix.org/list/: an exception rule wins, otherwise the rule with the most
+   * labels, and if no rule matches, the last label.
+   */
+  function getPublicSuffix(host)
+  {
+    var labels = host.split('.'),
+        rules = getRules(),
+        candidate, i;
+
+    for(i = 0; i < labels.length; i++) {
+      if(rules.hasOwnProperty('!' + labels.slice(i).join('.')))
+        return labels.slice(i + 1).join('.');
+    }
+
+    //Going from the longest candidate to the shortest, the first match has the most labels
+    for(i = 0; i < labels.length; i++) {
+      candidate = labels.slice(i).join('.');
+      if(rules.hasOwnProperty(candidate))
+        return candidate;
+      if(i + 1 < labels.length && rules.hasOwnProperty('*.' + labels.slice(i + 1).join('.')))
+        return candidate;
+    }
+
+    return labels[labels.length - 1];
+  }
+
+  /*
+   * Gets the registrable domain of a host name: its public suffix plus one more label. Returns
+   * null if the host name is a public suffix itself.
+   */
+  function getRegistrableDomain(host)
+  {
+    var labels = host.split('.'),
+        suffixLength = getPublicSuffix(host).split('.').length;
+
+    if(labels.length <= suffixLength)
+      return null;
+
+    return labels.slice(labels.length - suffixLength - 1).join('.');
+  }
+
+  /*
+   * Normalizes a site to its registrable domain. IP addresses, host names without a dot (like
+   * "localhost") and public suffixes are returned as host names.
+   */
+  function normalize(input)
+  {
+    var host = getHost(input);
+
+    if(host.indexOf('.') === -1 || host.charAt(0) === '[' || /^\d+\.\d+\.\d+\.\d+$/.test(host))
+      return host;
+
+    return getRegistrableDomain(host) || host;
+  }
+
+  return {
+    normalize : normalize,
+    getHost : getHost,
+    getPublicSuffix : getPublicSuffix,
+    getRegistrableDomain : getRegistrableDomain
+  };
+});
@@ -0,0 +1,830 @@
+/**
+ * passtastic-page.js
+ *
+ * The script of passtastic.html: fills in the settings of the site's profile, generates the password
+ * and shows it, and manages the site aliases, the profile files, the lock and the offline build.
+ *
+ * It isn't inline in the page because the browser extension ships a copy of the page as its settings
+ * page (see extension/build.js), and the content security policy of extensions forbids inline scripts.
+ */
+(function($) {
+  var OUTPUT_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!"#$%&\'()*+,-./:;<=>?@[/]^_`{|}~';
+  var MIN_LENGTH = 4, MAX_LENGTH = 64, DEFAULT_LENGTH = 16;
+  var MIN_WORDS = 3, MAX_WORDS = 12, DEFAULT_WORDS = 6;
+  var AVERAGE_WORD_LENGTH = 8; //Of the EFF's long word list, including the separator, for the progress display
+  var MIN_COST = 4, MAX_COST = 20, DEFAULT_COST = 10; //Passtastic accepts up to 30, but anything above 20 takes hours
+  var TARGET_MS = 1000; //The time we'd like a password to take when suggesting a cost
+  var KDF_MEMORY_OPTIONS = [8, 16, 32, 64, 128, 256]; //In MiB, for scrypt and Argon2id
+  var MAX_KDF_ITERATIONS = 10;
+  var DEFAULT_KDF_SETTINGS = { kdf : 'bcrypt', cost : DEFAULT_COST };
+
+  var kdfs = {}; //The KDFs Passtastic offers, by name
+  $.each(Passtastic.getKdfs(), function(i, kdf) {
+    kdfs[kdf.kdf] = kdf;
+  });
+
+  /**
+   * Reads the hash function settings: the kdf option of Passtastic, plus either the bcrypt cost or
+   * the kdfParams. scrypt's "iterations" are its parallelization parameter p, which multiplies the
+   * time just like Argon2id's iterations do.
+   */
+  function getKdfSettings() {
+    var kdf = $('#kdf').val(),
+        memory = parseInt($('#kdfMemory').val(), 10), //In MiB
+        iterations = parseInt($('#kdfIterations').val(), 10);
+
+    if(kdf === 'scrypt')
+      return { kdf : kdf, kdfParams : { N : memory * 1024 * 1024 / (128 * kdfs.scrypt.params.r.defaultValue), p : iterations } };
+    if(kdf === 'argon2id')
+      return { kdf : kdf, kdfParams : { memory : memory * 1024, iterations : iterations } };
+
+    return { kdf : kdf, cost : parseInt($('#cost').val(), 10) };
+  }
+
+  /**
+   * Shows the hash function settings returned by getKdfSettings(). If there are no kdfParams,
+   * the defaults of the KDF are shown.
+   */
+  function setKdfSettings(settings) {
+    var params = kdfs[settings.kdf].params,
+        kdfParams = settings.kdfParams || {};
+
+    $('#kdf').val(settings.kdf);
+    $('#bcryptSettings').toggle(settings.kdf === 'bcrypt');
+    $('#kdfSettings').toggle(settings.kdf !== 'bcrypt');
+
+    if(settings.kdf === 'bcrypt') {
+      $('#cost').val(settings.cost);
+      $('#costInfo').text('');
+    } else if(settings.kdf === 'scrypt') {
+      $('#kdfMemory').val((kdfParams.N || params.N.defaultValue) * 128 * params.r.defaultValue / 1024 / 1024);
+      $('#kdfIterations').val(kdfParams.p || params.p.defaultValue);
+    } else {
+      $('#kdfMemory').val((kdfParams.memory || params.memory.defaultValue) / 1024);
+      $('#kdfIterations').val(kdfParams.iterations || params.iterations.defaultValue);
+    }
+  }
+
+  /**
+   * Builds a Passtastic character policy from the policy fields. Fields that are left
+   * empty don't appear in the policy, so that the defaults apply.
+   */
+  function getPolicy() {
+    var policy = {};
+
+    if($('#specialChars').val())
+      policy.specialChars = $('#specialChars').val();
+    if($('#forbiddenChars').val())
+      policy.forbidden = $('#forbiddenChars').val();
+    if($('#firstChar').val() !== 'any')
+      policy.positions = { 0 : $('#firstChar').val() };
+    if($('#maxRepeat').val() !== '0')
+      policy.maxRepeat = parseInt($('#maxRepeat').val(), 10);
+
+    return policy;
+  }
+
+  /**
+   * Fills the policy fields from a policy built by getPolicy()
+   */
+  function setPolicy(policy) {
+    $('#specialChars').val(policy.specialChars || '');
+    $('#forbiddenChars').val(policy.forbidden || '');
+    $('#firstChar').val((policy.positions && policy.positions[0]) || 'any');
+    $('#maxRepeat').val(String(policy.maxRepeat || 0));
+  }
+
+  /**
+   * Builds the passphrase option of Passtastic from the passphrase fields, or null if a
+   * password is wanted
+   */
+  function getPassphrase() {
+    if($('#outputMode').val() !== 'passphrase')
+      return null;
+
+    return {
+      words : parseInt($('#passphraseWords').val(), 10),
+      separator : $('#passphraseSeparator').val(),
+      capitalize : $('#passphraseCapitalize').val(),
+      digit : $('#passphraseDigit').is(':checked')
+    };
+  }
+
+  /**
+   * Gets the template option of Passtastic, or null if no template is wanted
+   */
+  function getTemplate() {
+    return $('#outputMode').val() === 'template' ? $('#template').val() : null;
+  }
+
+  /**
+   * Selects the output mode for the passphrase and template options of a profile, and fills in the
+   * fields of the mode. For a password, the other fields keep their values.
+   */
+  function setOutput(passphrase, template) {
+    $('#outputMode').val(passphrase ? 'passphrase' : template !== null ? 'template' : 'password');
+    if(template !== null)
+      $('#template').val(template);
+    if(passphrase) {
+      $('#passphraseWords').val(passphrase.words);
+      $('#passphraseSeparator').val(passphrase.separator);
+      $('#passphraseCapitalize').val(passphrase.capitalize);
+      $('#passphraseDigit').prop('checked', passphrase.digit);
+    }
+    updateOutputMode();
+  }
+
+  /**
+   * Shows the fields of the selected output mode, and how strong the passphrase or the template is
+   */
+  function updateOutputMode() {
+    var mode = $('#outputMode').val(),
+        passphrase = getPassphrase(),
+        template = getTemplate();
+
+    $('#passphraseSettings').toggle(mode === 'passphrase');
+    $('#templateSettings').toggle(mode === 'template');
+    $('#policy').toggle(mode === 'password');
+    $('#pwLength, #noSpecChars').prop('disabled', mode !== 'password');
+
+    if(passphrase)
+      $('#passphraseEntropy').text('about ' + Passtastic.getPassphraseEntropy(passphrase).toFixed(1) + ' bits of entropy');
+
+    if(template !== null) {
+      try {
+        $('#templateEntropy').text('about ' + Passtastic.getTemplateEntropy(template).toFixed(1) + ' bits of entropy')
+                             .removeClass('warning');
+      } catch(error) {
+        $('#templateEntropy').text(error.message.replace(/^Passtastic\.[^ ]+ - /, ''))
+                             .addClass('warning');
+      }
+    }
+  }
+
+  /**
+   * Reads the site's profile (see profile-store.js) from the fields: everything but the site
+   * and the master password
+   */
+  function getProfile() {
+    return $.extend({
+      userName : $('#userName').val(),
+      length : parseInt($('#pwLength').val(), 10),
+      useSpecialChars : !$('#noSpecChars').is(':checked'),
+      policy : $('#outputMode').val() === 'password' ? getPolicy() : {}, //The other modes have no use for it
+      passphrase : getPassphrase(),
+      template : getTemplate(),
+      counter : getCounter(),
+      version : $('#algorithm').val(),
+      normalizeSite : $('#normalizeSite').is(':checked')
+    }, getKdfSettings());
+  }
+
+  /**
+   * Fills the fields from a profile. Fields the profile doesn't contain are left alone, except
+   * for the output mode and the hash function settings, which fall back to the defaults.
+   */
+  function setProfile(profile) {
+    if(profile.userName !== undefined)
+      $('#userName').val(profile.userName);
+    if(profile.length !== undefined)
+      $('#pwLength').val(profile.length);
+    if(profile.useSpecialChars !== undefined)
+      $('#noSpecChars').prop('checked', !profile.useSpecialChars);
+    if(profile.policy !== undefined)
+      setPolicy(profile.policy);
+    if(profile.counter !== undefined)
+      $('#counter').val(profile.counter);
+    if(profile.version !== undefined)
+      $('#algorithm').val(profile.version);
+    if(profile.normalizeSite !== undefined)
+      $('#normalizeSite').prop('checked', profile.normalizeSite);
+
+    //Profiles from before the output modes are for passwords
+    setOutput(profile.passphrase || null, profile.template === undefined ? null : profile.template);
+    setKdfSettings(profile.kdf ? profile : DEFAULT_KDF_SETTINGS);
+  }
+
+  /**
+   * Reads the generation counter. Anything but digits is returned as the text it is, so that
+   * Passtastic.getPassword() rejects it instead of generating the password of another generation.
+   */
+  function getCounter() {
+    var counter = $.trim($('#counter').val());
+    return /^\d+$/.test(counter) ? parseInt(counter, 10) : counter;
+  }
+
+  /**
+   * Gets the options of Passtastic that decide how the site is hashed
+   */
+  function getSiteOptions() {
+    return {
+      normalizeSite : $('#normalizeSite').is(':checked'),
+      siteAliases : SiteAliases.getAll()
+    };
+  }
+
+  /**
+   * Gets the site as it is hashed: its registrable domain if "Domain only" is checked, or the
+   * site it is an alias of
+   */
+  function getSite() {
+    return Passtastic.getSite($('#site').val(), getSiteOptions());
+  }
+
+  /**
+   * Looks up the profile of the site in the field, see ProfileStore.find()
+   *
+   * @return object|null - The profile, with normalizeSite set where it is known
+   */
+  function findProfile() {
+    var siteAliases = SiteAliases.getAll();
+
+    return ProfileStore.find(Passtastic.getSite($('#site').val(), { siteAliases : siteAliases }),
+                             Passtastic.getSite($('#site').val(), { normalizeSite : true, siteAliases : siteAliases }));
+  }
+
+  /**
+   * Lists the aliases, each with a button that removes it
+   */
+  function showAliases() {
+    var list = $('#aliasList').empty();
+
+    $.each(SiteAliases.getAll(), function(alias, site) {
+      $('<div class="row">').text(alias + ' \u2192 ' + site + ' ')
+                            .append($('<button class="remove-alias" type="button">').text('x').data('alias', alias))
+                            .appendTo(list);
+    });
+  }
+
+  /**
+   * Shows the outcome of an export or import below the profile buttons
+   */
+  function showSyncInfo(message, isError) {
+    $('#syncInfo').text(message.replace(/^\w+\.[^ ]+ - /, '')).toggleClass('warning', !!isError);
+  }
+
+  /**
+   * Offers text for download as a file
+   */
+  function download(fileName, text) {
+    var url = URL.createObjectURL(new Blob([text], { type : 'application/json' })),
+        link = $('<a>').attr({ href : url, download : fileName }).appendTo('body');
+
+    link[0].click();
+    link.remove();
+    setTimeout(function() {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }
+
+  /**
+   * Shows the site as it is hashed below the site field, unless it's the same as the input
+   */
+  function updateSitePreview() {
+    var site = getSite();
+    $('#sitePreview').text('\u2192 ' + site)
+                     .toggle(site !== $('#site').val());
+  }
+
+  var fingerprint = { masterPw : null, promise : null, approved : false }; //Of the master password last checked
+
+  /**
+   * Shows the fingerprint of the master password below it, and warns if it isn't the usual one.
+   * Returns a Promise resolved with the fingerprint, or with null if there is none (anymore).
+   */
+  function showFingerprint() {
+    var masterPw = $('#masterPw').val();
+
+    if(!masterPw) {
+      $('#fingerprint').text('');
+      $('#rememberMasterPw, #fingerprintWarning').hide();
+      return Promise.resolve(null);
+    }
+
+    if(fingerprint.masterPw !== masterPw) {
+      fingerprint = { masterPw : masterPw, promise : MasterFingerprint.get(masterPw), approved : false };
+      $('#fingerprint').text('fingerprint...');
+      $('#rememberMasterPw, #fingerprintWarning').hide();
+    }
+
+    return fingerprint.promise.then(function(result) {
+      var isUsual = MasterFingerprint.matches(result),
+          isRemembered = isUsual && !!MasterFingerprint.getCheck();
+
+      if($('#masterPw').val() !== masterPw)
+        return null; //It has changed while the fingerprint was derived
+
+      $('#fingerprint').text(result.words);
+      $('#fingerprintWarning').toggle(!isUsual);
+      $('#rememberMasterPw').text(isRemembered ? 'Forget as usual' : 'Remember as usual')
+                            .data('check', isRemembered ? null : result.check)
+                            .show();
+      return result;
+    }, function() {
+      $('#fingerprint').text('');
+      return null;
+    });
+  }
+
+  /**
+   * Masks the output like a password field, or shows it. Error messages are never masked.
+   */
+  function setOutputMasked(isMasked) {
+    $('#output').prop('type', isMasked ? 'password' : 'text');
+    $('#revealOutput').text(isMasked ? 'Show' : 'Hide');
+  }
+
+  /**
+   * Shows the countdown of the clipboard, see SecureClipboard.copy()
+   */
+  function showClipboardTick(secondsLeft) {
+    $('#clipboardInfo').removeClass('warning')
+                       .text(secondsLeft ? 'clipboard clears in ' + secondsLeft + 's' : 'clipboard clears when you come back');
+  }
+
+  function showClipboardDone(result) {
+    var messages = {
+      cleared : 'clipboard cleared',
+      changed : '',
+      unknown : 'could not check the clipboard, it may still hold the password: clear it by copying something else'
+    };
+
+    $('#clipboardInfo').text(messages[result]).toggleClass('warning', result === 'unknown');
+  }
+
+  var generateHash = function() {
+    //With a stored check value, the master password is checked first. If it isn't the usual one, the
+    // password is only generated once the user has seen the warning and pressed Go! again.
+    if(!generateHash.abortController && MasterFingerprint.getCheck() && $('#masterPw').val() &&
+       !(fingerprint.masterPw === $('#masterPw').val() && fingerprint.approved)) {
+      showFingerprint().then(function(result) {
+        if(!result || fingerprint.approved)
+          return;
+
+        fingerprint.approved = true;
+        if(MasterFingerprint.matches(result))
+          generateHash();
+      });
+      return;
+    }
+
+    if(!generateHash.abortController) {
+      //Aborting the controller stops the hash function, see onInputChange()
+      var abortController = generateHash.abortController = new AbortController();
+      $('#counter').toggleClass('error', typeof getCounter() !== 'number');
+      setOutputMasked(true);
+      $('#output').css('background-color', $('#site').css('background-color'))
+                  .val('')
+                  .show();
+      $('#goBtn').hide();
+      
+      var progressCounter = 0,
+          profile = getProfile(),
+          //Only for the progress display, a passphrase's length isn't known in advance
+          displayLength = profile.passphrase ? profile.passphrase.words * AVERAGE_WORD_LENGTH : profile.template !== null ? profile.template.length : profile.length,
+          siteOptions = getSiteOptions();
+      
+      Passtastic.getPasswordAsync($('#site').val(),
+        profile.userName,
+        $('#masterPw').val(),
+        {
+          useSpecialChars : profile.useSpecialChars,
+          normalizeSite : siteOptions.normalizeSite,
+          siteAliases : siteOptions.siteAliases,
+          length : profile.length, //Templates ignore it
+          policy : profile.policy,
+          passphrase : profile.passphrase,
+          template : profile.template,
+          counter : profile.counter,
+          version : profile.version,
+          kdf : profile.kdf,
+          cost : profile.cost,
+          kdfParams : profile.kdfParams,
+          signal : abortController.signal,
+          progress : function() { //Called periodically (approx. 100 times) while the password is generated 
+            //Every time this is called, we generate a new random-looking string using the same characters that Passtastic uses
+            var randomString = '';
+
+            ++progressCounter;
+
+            while(randomString.length < (progressCounter / 100) * displayLength) {
+              randomString+= OUTPUT_CHARS.charAt(Math.floor(Math.random() * OUTPUT_CHARS.length));
+            }
+
+            //Pad the random string to the right with '-' chars
+            while(randomString.length < displayLength) {
+              randomString += '-';
+            }
+
+            $('#output').val(randomString);
+          }
+        }).then(function(result) { //Success callback
+          //The output is masked, which keeps the browser from copying it, so the copy button gets the focus
+          $('#output').val(result);
+          $('#outputActions').show();
+          $('#copyOutput').focus();
+
+          if(getSite())
+            ProfileStore.set(getSite(), profile);
+        }, function(error) {
+          if(error.code === Passtastic.PasstasticError.ABORTED)
+            return; //The inputs changed, onInputChange() has already reset the output
+
+          setOutputMasked(false);
+          $('#output').css('background-color', '')
+                      .addClass('error')
+                      .val(error.message.replace(/^Passtastic\.[^ ]+ - /, ''));
+        }).then(function() {
+          if(generateHash.abortController === abortController)
+            generateHash.abortController = null;
+        });
+    }
+  };
+  
+  /**
+   * When an input's value changes, we reset the output so that the user cannot become confused
+   * and think the output corresponds to the wrong inputs
+   */
+  function onInputChange() {
+    if(generateHash.abortController) {
+      generateHash.abortController.abort();
+      generateHash.abortController = null;
+    }
+
+    $('#output').hide()
+                .removeClass('error');
+    $('#counter').removeClass('error');
+    $('#outputActions').hide();
+    $('#goBtn').show();
+  }
+  
+  $('#noSpecChars, #firstChar, #maxRepeat').change(onInputChange);
+
+  for(var i = MIN_LENGTH; i <= MAX_LENGTH; i++) {
+    $('<option>').val(i).text(i).prop('selected', i === DEFAULT_LENGTH).appendTo('#pwLength');
+  }
+  $('#pwLength').change(onInputChange);
+
+  for(i = MIN_WORDS; i <= MAX_WORDS; i++) {
+    $('<option>').val(i).text(i).prop('selected', i === DEFAULT_WORDS).appendTo('#passphraseWords');
+  }
+  $('#outputMode, #passphraseWords, #passphraseCapitalize, #passphraseDigit').change(function() {
+    onInputChange();
+    updateOutputMode();
+  });
+  $('#template').bind('keyup input', updateOutputMode);
+
+  /**
+   * Warns if the inputs contain characters that the selected algorithm version doesn't
+   * handle correctly, see Passtastic.isLegacySafe()
+   */
+  function updateUnicodeWarning() {
+    var isSafe = true;
+
+    if(!algorithms[$('#algorithm').val()].unicode) {
+      $('#site, #userName, #masterPw').each(function() {
+        isSafe = isSafe && Passtastic.isLegacySafe($(this).val());
+      });
+    }
+    $('#unicodeWarning').toggle(!isSafe);
+  }
+
+  var algorithms = {}; //The algorithm versions, by version
+  $.each(Passtastic.getAlgorithmVersions(), function(i, algorithm) {
+    algorithms[algorithm.version] = algorithm;
+    $('<option>').val(algorithm.version)
+                 .text(algorithm.name + (algorithm.isLatest ? ' (latest)' : ''))
+                 .prop('selected', algorithm.isDefault)
+                 .appendTo('#algorithm');
+  });
+  $('#algorithm').change(function() {
+    onInputChange();
+    updateUnicodeWarning();
+  });
+  $('#site, #userName, #masterPw').bind('change keyup input', updateUnicodeWarning);
+
+  for(i = MIN_COST; i <= MAX_COST; i++) {
+    $('<option>').val(i).text(i).prop('selected', i === DEFAULT_COST).appendTo('#cost');
+  }
+  $('#cost').change(function() {
+    onInputChange();
+    $('#costInfo').text('');
+  });
+
+  $.each(kdfs, function(name, kdf) {
+    $('<option>').val(name)
+                 .text(kdf.name)
+                 .prop('selected', kdf.isDefault)
+                 .prop('disabled', !kdf.isLoaded)
+                 .appendTo('#kdf');
+  });
+  $.each(KDF_MEMORY_OPTIONS, function(i, memory) {
+    $('<option>').val(memory).text(memory + ' MiB').appendTo('#kdfMemory');
+  });
+  for(i = 1; i <= MAX_KDF_ITERATIONS; i++) {
+    $('<option>').val(i).text(i).appendTo('#kdfIterations');
+  }
+  $('#kdf').change(function() {
+    //Switching the KDF starts over with its defaults
+    setKdfSettings($(this).val() === 'bcrypt' ? DEFAULT_KDF_SETTINGS : { kdf : $(this).val() });
+    onInputChange();
+  });
+  $('#kdfMemory, #kdfIterations').change(onInputChange);
+
+  /**
+   * Fills in the settings of a site's profile, or the defaults of the hash function if it has none
+   */
+  function loadProfile(profile) {
+    var before = JSON.stringify(getProfile());
+
+    if(profile)
+      setProfile(profile);
+    else if(JSON.stringify(getKdfSettings()) !== JSON.stringify(DEFAULT_KDF_SETTINGS))
+      setKdfSettings(DEFAULT_KDF_SETTINGS);
+
+    if(JSON.stringify(getProfile()) !== before) {
+      onInputChange();
+      updateUnicodeWarning();
+    }
+    updateSitePreview();
+  }
+
+  //When a site we've seen before is entered, we fill in the settings that were used for it
+  $('#site').bind('change keyup', function() {
+    loadProfile(findProfile());
+  });
+  //Checking or unchecking "Domain only" by hand switches to the profile for that choice
+  $('#normalizeSite').change(function() {
+    onInputChange();
+    loadProfile(ProfileStore.get(getSite()));
+  });
+
+  showAliases();
+  $('#addAlias').click(function() {
+    var alias = $('#aliasFrom').val(),
+        site = $('#aliasTo').val();
+
+    //With "Domain only", the alias is looked up by its domain, so that's what we store
+    if($('#normalizeSite').is(':checked')) {
+      alias = SiteNormalizer.normalize(alias);
+      site = SiteNormalizer.normalize(site);
+    }
+
+    try {
+      SiteAliases.set(alias, site);
+    } catch(error) {
+      $('#aliasError').text(String(error).replace(/^SiteAliases\.[^ ]+ - /, ''));
+      return;
+    }
+
+    $('#aliasFrom, #aliasTo').val('');
+    $('#aliasError').text('');
+    showAliases();
+    onInputChange();
+    $('#site').change();
+  });
+  $('#aliasList').delegate('.remove-alias', 'click', function() {
+    SiteAliases.remove($(this).data('alias'));
+    showAliases();
+    onInputChange();
+    $('#site').change();
+  });
+
+  var LOCK_MESSAGES = {
+    idle : 'Cleared the master password after a while without activity.',
+    hidden : 'Cleared the master password when the page was hidden.',
+    panic : 'Cleared the master password.'
+  };
+
+  /**
+   * Wipes the master password and the generated password from the page, including the copies we
+   * hold: the fingerprint state and a generation in progress. A pending clipboard countdown keeps its
+   * copy until it has cleared the clipboard.
+   */
+  function lock(reason) {
+    var hadSecrets = !!$('#masterPw').val() || !!$('#output').val();
+
+    onInputChange(); //Aborts a generation in progress and hides the output
+    $('#output').val('');
+    $('#masterPw').val('');
+    fingerprint = { masterPw : null, promise : null, approved : false };
+    showFingerprint();
+    updateUnicodeWarning();
+
+    if(hadSecrets)
+      $('#lockInfo').text(LOCK_MESSAGES[reason] || LOCK_MESSAGES.panic).show();
+  }
+
+  IdleLock.start(lock);
+  $('#masterPw').bind('keydown', function() {
+    $('#lockInfo').hide();
+  });
+  $('#lockDelay').val(String(IdleLock.getDelay())).change(function() {
+    IdleLock.setDelay(parseInt($(this).val(), 10));
+  });
+  $('#lockWhenHidden').prop('checked', IdleLock.isLockedWhenHidden()).change(function() {
+    IdleLock.setLockedWhenHidden($(this).is(':checked'));
+  });
+
+  $('#revealOutput').click(function() {
+    setOutputMasked($('#output').prop('type') === 'text');
+  });
+  $('#copyOutput').click(function() {
+    SecureClipboard.copy($('#output').val(), {
+      delay : parseInt($('#clipboardDelay').val(), 10),
+      onTick : showClipboardTick,
+      onDone : showClipboardDone
+    }).then(function() {
+      if($('#clipboardDelay').val() === '0')
+        $('#clipboardInfo').removeClass('warning').text('copied');
+    }, function(error) {
+      $('#clipboardInfo').addClass('warning').text(error.message.replace(/^\w+\.[^ ]+ - /, ''));
+    });
+  });
+  $('#clipboardDelay').val(String(SecureClipboard.getDelay())).change(function() {
+    SecureClipboard.setDelay(parseInt($(this).val(), 10));
+  });
+
+  $('#masterPw').change(showFingerprint);
+  $('#rememberMasterPw').click(function() {
+    var check = $(this).data('check');
+
+    if(check)
+      MasterFingerprint.setCheck(check);
+    else
+      MasterFingerprint.removeCheck();
+    showFingerprint();
+  });
+
+  $('#exportProfiles').click(function() {
+    var button = $(this),
+        masterPw = $('#encryptExport').is(':checked') ? $('#masterPw').val() : null;
+
+    if(masterPw === '')
+      return showSyncInfo('Enter the master password to encrypt the profiles with.', true);
+
+    button.prop('disabled', true);
+    showSyncInfo(masterPw ? 'encrypting...' : '');
+
+    ProfileSync.exportProfiles(ProfileStore.getAll(), masterPw).then(function(text) {
+      download('passtastic-profiles-' + new Date().toISOString().substr(0, 10) + '.json', text);
+      showSyncInfo('');
+    }, function(error) {
+      showSyncInfo(error.message, true);
+    }).then(function() {
+      button.prop('disabled', false);
+    });
+  });
+  $('#importFile').change(function() {
+    var input = $(this),
+        file = this.files && this.files[0],
+        reader;
+
+    if(!file)
+      return;
+
+    reader = new FileReader();
+    reader.onload = function() {
+      showSyncInfo('reading...');
+
+      ProfileSync.importProfiles(reader.result, $('#masterPw').val()).then(function(profiles) {
+        var result = ProfileSync.merge(ProfileStore.getAll(), profiles, $('#mergeStrategy').val()),
+            kept = $.map(result.conflicts, function(conflict) {
+              return conflict.kept === 'local' ? conflict.site : null;
+            });
+
+        ProfileStore.setAll(result.profiles);
+        showSyncInfo(result.added.length + ' added, ' + result.updated.length + ' updated' +
+                     (kept.length ? ', kept yours for ' + kept.join(', ') : ''));
+        $('#site').change();
+      }, function(error) {
+        showSyncInfo(error.message, true);
+      });
+
+      input.val('');
+    };
+    reader.readAsText(file);
+  });
+
+  $('#suggestCost').click(function() {
+    var button = $(this).prop('disabled', true);
+    $('#costInfo').text('measuring...');
+
+    Passtastic.suggestCost(TARGET_MS).then(function(cost) {
+      $('#cost').val(Math.min(cost, MAX_COST));
+      onInputChange();
+      $('#costInfo').text('(about ' + TARGET_MS / 1000 + 's on this device)');
+    }, function(error) {
+      $('#costInfo').text(error.message);
+    }).then(function() {
+      button.prop('disabled', false);
+    });
+  });
+
+  //Rotating a site's password is done by moving to the next generation
+  $('.counter-btn').click(function() {
+    var counter = getCounter();
+
+    if(typeof counter === 'number')
+      $('#counter').val(Math.max(0, counter + parseInt($(this).data('step'), 10)));
+    onInputChange();
+  });
+
+  var _justGainedFocus = false;
+  $('.generator-input').bind({
+    keydown : function() {
+      onInputChange();
+    },
+    
+    /**
+     * When an input gains focus, select its contents - the user probably wants to replace the value
+     */
+    focus : function() {
+      $(this).select();
+      _justGainedFocus = true;
+    },
+    mouseup : function() {
+      //This prevents browsers from their default mouseup behavior, which is to put the carat
+      // where the cursor is - this breaks the focus behavior most annoyingly. Returns true if
+      // the element is already focused, though, which allows the user to position the carat
+      // to fix a typing error.
+      var toReturn = !_justGainedFocus;
+      _justGainedFocus = false;
+      return toReturn;
+    }
+  });
+
+  //Since our dummy wrapper form is submitted when 'enter' is pressed, we bind our hash generation 
+  // to the submit event. This has the advantage that autocomplete trigger and hash generation are
+  // on the same code path, so we won't get inconsistencies between the two.
+  $('form').submit(function(event) {
+    generateHash();
+  });
+  
+  /**
+   * Shows the version and the build hash of the page (see build.js), so that users can check that they
+   * run the build they expect, and whether it is available offline
+   */
+  function showBuild() {
+    var build = window.PASSTASTIC_BUILD;
+
+    if(!build)
+      return;
+
+    $('#buildVersion').text('v' + build.version + ', build ' + build.hash.slice(0, 12) +
+                            (navigator.serviceWorker && navigator.serviceWorker.controller ? ', available offline' : ''))
+                      .attr('title', 'Build hash ' + build.hash);
+  }
+
+  showBuild();
+
+  //The service worker caches the build for offline use, see service-worker.js. Browsers don't allow it for
+  // file:// pages, and the extension's copy of the page has no use for it.
+  if('serviceWorker' in navigator && /^https?:$/.test(location.protocol)) {
+    var isUpdating = false;
+
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+      if(isUpdating)
+        location.reload();
+      else
+        showBuild(); //The first installation has finished
+    });
+
+    navigator.serviceWorker.register('service-worker.js', { updateViaCache : 'none' }).then(function(registration) {
+      //A new build waits until the user chooses to switch to it, see service-worker.js
+      function offerUpdate() {
+        if(registration.waiting && navigator.serviceWorker.controller)
+          $('#updateApp').text('Update to the new build').show();
+      }
+
+      registration.addEventListener('updatefound', function() {
+        var worker = registration.installing;
+
+        worker.addEventListener('statechange', function() {
+          if(worker.state === 'installed')
+            offerUpdate();
+        });
+      });
+      offerUpdate();
+
+      $('#updateApp').click(function() {
+        if(!registration.waiting)
+          return;
+
+        isUpdating = true;
+        registration.waiting.postMessage({ type : 'activate' });
+      });
+    }, function() {
+      //Without the service worker, the page still works, just not offline
+    });
+  }
+
+  //Add labels to fields for browsers that don't support the "placeholder" property
+  if(!('placeholder' in document.createElement('input'))) {
+    $('[placeholder]').each(function() {
+      var cur = $(this),
+      label = $('<label class="placeholder-replacement">').text(' '+cur.attr('placeholder'));
+      cur.after(label);
+    });
+  }
+})(jQuery);
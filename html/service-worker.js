@@ -0,0 +1,91 @@
+/**
+ * service-worker.js
+ *
+ * Makes passtastic.html work offline, with exactly the files of its build: the files listed in
+ * build-info.js (see build.js) are cached when the service worker is installed, and served from the
+ * cache from then on. The installation fails if a file doesn't match its recorded SHA-256 hash, eg
+ * because the server is halfway through an update, and the browser tries again later.
+ *
+ * Each build has a cache of its own. A new build waits until the page tells it to take over (see
+ * 'activate' below) or all of the page's tabs are closed, so that a running page never gets files of
+ * another build. The browser looks for a new build whenever the page is loaded online: the page
+ * registers the service worker so that build-info.js, which it imports, is always checked as well.
+ */
+importScripts('js/Passtastic/build-info.js');
+
+var CACHE_PREFIX = 'passtastic-';
+var CACHE_NAME = CACHE_PREFIX + PASSTASTIC_BUILD.hash;
+
+function toHex(buffer)
+{
+  return Array.prototype.map.call(new Uint8Array(buffer), function(byte) {
+    return ('0' + byte.toString(16)).slice(-2);
+  }).join('');
+}
+
+/*
+ * Fetches a file of the build from the network, bypassing the HTTP cache, and checks its hash
+ */
+function fetchFile(file)
+{
+  return fetch(file.path, { cache : 'no-store' }).then(function(response) {
+    if(!response.ok)
+      throw new Error('service-worker.js - ' + file.path + ' could not be loaded (' + response.status + ').');
+
+    return response.clone().arrayBuffer().then(function(data) {
+      return crypto.subtle.digest('SHA-256', data);
+    }).then(function(digest) {
+      if(toHex(digest) !== file.sha256)
+        throw new Error('service-worker.js - ' + file.path + ' is not the file of build ' + PASSTASTIC_BUILD.hash + '.');
+
+      return response;
+    });
+  });
+}
+
+self.addEventListener('install', function(event) {
+  var files = PASSTASTIC_BUILD.files.concat({ path : 'js/Passtastic/build-info.js', sha256 : null });
+
+  event.waitUntil(Promise.all(files.map(function(file) {
+    //build-info.js can't be checked against itself, but it has been loaded with this service worker
+    return (file.sha256 ? fetchFile(file) : fetch(file.path, { cache : 'no-store' })).then(function(response) {
+      return { path : file.path, response : response };
+    });
+  })).then(function(responses) {
+    //Only once all files have arrived, so that the cache is never incomplete
+    return caches.open(CACHE_NAME).then(function(cache) {
+      return Promise.all(responses.map(function(entry) {
+        return cache.put(entry.path, entry.response);
+      }));
+    });
+  }));
+});
+
+self.addEventListener('activate', function(event) {
+  event.waitUntil(caches.keys().then(function(names) {
+    return Promise.all(names.filter(function(name) {
+      return name.indexOf(CACHE_PREFIX) === 0 && name !== CACHE_NAME;
+    }).map(function(name) {
+      return caches.delete(name);
+    }));
+  }).then(function() {
+    return self.clients.claim();
+  }));
+});
+
+self.addEventListener('message', function(event) {
+  if(event.data && event.data.type === 'activate')
+    self.skipWaiting();
+});
+
+self.addEventListener('fetch', function(event) {
+  if(event.request.method !== 'GET')
+    return;
+
+  //Anything that isn't part of the build goes to the network as usual
+  event.respondWith(caches.open(CACHE_NAME).then(function(cache) {
+    return cache.match(event.request);
+  }).then(function(response) {
+    return response || fetch(event.request);
+  }));
+});
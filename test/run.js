@@ -0,0 +1,662 @@
+/**
+ * run.js
+ *
+ * Checks Passtastic against the known-answer vectors in test/vectors, so that any change that
+ * alters the generated passwords fails loudly:
+ *
+ * - passwords.json: calcMD5(), _generateSalt(), bcrypt, _bcryptBase64ToBinary(), _shuffle(),
+ *   _convertBinaryToPw() and getPassword() as a whole, with the options of Passtastic v0.2
+ * - salts.json: the salt of each algorithm version, and the encoded inputs of versions with encodedInputs
+ * - passphrases.json: _convertBinaryToPassphrase(), compared with a plain BigInt version of it as well, and
+ *   getPassword() with the passphrase option
+ * - templates.json: _getWeakPins(), _convertBinaryToTemplate() (with a BigInt version as well) and
+ *   getPassword() with the template option
+ * - options.json: getPassword() as a whole for each algorithm version, with each of its options: length,
+ *   useSpecialChars, policy, counter, cost, the scrypt and Argon2id KDFs, passphrase, template, and
+ *   normalizeSite with siteAliases
+ * - kdfs.json: scrypt.js and argon2.js on their own, with the vectors of RFC 7914 and RFC 9106
+ *
+ * It also checks how the modules around Passtastic behave: the Public Suffix List rules of
+ * SiteNormalizer, the alias table of SiteAliases, ProfileStore.find(), and the encryption, checks and
+ * merge strategies of ProfileSync. The modules that are only loaded with a script tag run in a vm
+ * context of their own, see createBrowserContext().
+ *
+ * Finally it checks the range of the bcrypt cost, that arguments of the wrong type are rejected, the
+ * exit codes of the command-line version, and that html/build.js can list and hash the files of the web
+ * app for build-info.js.
+ *
+ * Run it with npm test. It prints one line per check and exits with code 1 if any check fails.
+ */
+"use strict";
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var Passtastic = require('../html/js/Passtastic/passtastic.js');
+var bCrypt = require('../html/js/Passtastic/bCrypt-nodeps.js');
+var calcMD5 = require('../html/js/Passtastic/md5.js');
+var sha256 = require('../html/js/Passtastic/sha256.js');
+var wordlist = require('../html/js/Passtastic/eff-large-wordlist.js');
+var scrypt = require('../html/js/Passtastic/scrypt.js');
+var argon2id = require('../html/js/Passtastic/argon2.js');
+var SiteNormalizer = require('../html/js/Passtastic/site-normalizer.js');
+var passwordVectors = require('./vectors/passwords.json').vectors;
+var saltVectors = require('./vectors/salts.json').vectors;
+var passphraseVectors = require('./vectors/passphrases.json').vectors;
+var templates = require('./vectors/templates.json');
+var optionVectors = require('./vectors/options.json').vectors;
+var kdfVectors = require('./vectors/kdfs.json').vectors;
+var pwaBuild = require('../html/build.js');
+
+var CLI = path.join(__dirname, '..', 'bin', 'passtastic.js');
+var SCRIPTS = path.join(__dirname, '..', 'html', 'js', 'Passtastic');
+var BCRYPT_SALT_PREFIX = '$2a$10$';
+var BCRYPT_SALT_LENGTH = 22; //bcrypt ignores the rest of the longer v0.2 salts
+var SHUFFLE_ITEMS = 16;
+var SHUFFLE_BITS = 50; //What _shuffle() consumes for 16 items
+
+var count = 0, failures = 0;
+
+/*
+ * Compares a value with the expected one and reports the result
+ */
+function check(name, actual, expected)
+{
+  count++;
+
+  try {
+    assert.deepStrictEqual(actual, expected);
+    console.log('ok ' + count + ' - ' + name);
+  } catch(error) {
+    failures++;
+    console.log('not ok ' + count + ' - ' + name);
+    console.log('  expected: ' + JSON.stringify(expected));
+    console.log('  actual:   ' + JSON.stringify(actual));
+  }
+}
+
+/*
+ * Runs a check that may throw, which counts as a failure
+ */
+function attempt(name, fn)
+{
+  try {
+    fn();
+  } catch(error) {
+    check(name + ' (threw ' + String(error && error.message || error) + ')', false, true);
+  }
+}
+
+/*
+ * Checks that a promise is rejected with a PasstasticError of the given code, and optionally a message
+ * that matches a pattern
+ */
+function checkRejected(name, promise, code, pattern)
+{
+  return promise.then(function() {
+    check(name + ' (resolved)', false, true);
+  }, function(error) {
+    if(pattern)
+      check(name, [error && error.code, pattern.test(error && error.message)], [code, true]);
+    else
+      check(name, error && error.code, code);
+  });
+}
+
+function hashpw(input, salt)
+{
+  return new Promise(function(resolve) {
+    new bCrypt().hashpw(input, salt, resolve);
+  });
+}
+
+function range(length)
+{
+  var items = [];
+  for(var i = 0; i < length; i++)
+    items.push(i);
+
+  return items;
+}
+
+function checkPasswordVector(vector)
+{
+  var name = vector.name + ': ';
+
+  attempt(name + '_combineInputs()', function() {
+    check(name + '_combineInputs()', Passtastic._combineInputs(vector.site, vector.userName, vector.masterPw, 0), vector.saltInput);
+  });
+  check(name + 'calcMD5()', calcMD5(vector.saltInput), vector.md5);
+  attempt(name + '_generateSalt()', function() {
+    check(name + '_generateSalt()', Passtastic._generateSalt(vector.saltInput), vector.salt);
+  });
+  attempt(name + '_bcryptBase64ToBinary()', function() {
+    check(name + '_bcryptBase64ToBinary()', Passtastic._bcryptBase64ToBinary(vector.bcrypt.substr(29)), vector.binary);
+  });
+  attempt(name + '_shuffle()', function() {
+    check(name + '_shuffle()', Passtastic._shuffle(range(SHUFFLE_ITEMS), vector.binary.slice(0, SHUFFLE_BITS)), vector.shuffleOrder);
+  });
+  attempt(name + '_convertBinaryToPw()', function() {
+    check(name + '_convertBinaryToPw()', Passtastic._convertBinaryToPw(vector.binary, vector.useSpecialChars), vector.password);
+  });
+
+  return hashpw(vector.saltInput, BCRYPT_SALT_PREFIX + vector.salt).then(function(output) {
+    check(name + 'bcrypt', output, vector.bcrypt);
+
+    return new Promise(function(resolve) {
+      Passtastic.getPassword(vector.site, vector.userName, vector.masterPw, vector.useSpecialChars, resolve);
+    });
+  }).then(function(password) {
+    check(name + 'getPassword()', password, vector.password);
+  }, function(error) {
+    check(name + 'getPassword() (threw ' + error.message + ')', false, true);
+  });
+}
+
+function checkSaltVector(vector)
+{
+  var name = 'salt v' + vector.version + ' of ' + [vector.site, vector.userName, vector.masterPw, vector.counter].join('|') + ': ';
+
+  attempt(name + 'salt', function() {
+    var options = Passtastic._normalizeOptions({ version : vector.version, counter : vector.counter }),
+        combinedInputs = vector.encodedInputs !== undefined ? Passtastic._prehashInputs(vector.site, vector.userName, vector.masterPw, vector.counter)
+                                                            : Passtastic._combineInputs(vector.site, vector.userName, vector.masterPw, vector.counter),
+        job = Passtastic._getKdfJob(combinedInputs, Passtastic._getSaltBytes(vector.site, vector.userName, options), options);
+
+    if(vector.saltInput !== undefined) {
+      check(name + '_combineInputs()', combinedInputs, vector.saltInput);
+      check(name + 'calcMD5()', calcMD5(vector.saltInput), vector.md5);
+      check(name + '_generateSalt()', Passtastic._generateSalt(vector.saltInput, vector.version), vector.salt);
+    } else if(vector.encodedInputs !== undefined) {
+      check(name + '_encodeInputs()', sha256.toHex(Passtastic._encodeInputs(vector.site, vector.userName, vector.counter)), vector.encodedInputs);
+      check(name + '_getSaltBytes()', sha256.toHex(Passtastic._getSaltBytes(vector.site, vector.userName, options)), vector.saltBytes);
+      check(name + '_prehashInputs()', sha256.toHex(combinedInputs), vector.prehash);
+      check(name + 'bcrypt input', job.input, vector.bcryptInput);
+    } else {
+      check(name + 'HMAC-SHA-256', sha256.toHex(sha256.hmac(sha256.utf8(vector.hmacKey), sha256.utf8(vector.hmacMessage))), vector.hmacSha256);
+      check(name + '_generateHmacSalt()', sha256.toHex(Passtastic._generateHmacSalt(vector.site, vector.userName, vector.counter)), vector.saltBytes);
+    }
+    check(name + 'bcrypt salt', job.salt.substr(BCRYPT_SALT_PREFIX.length, BCRYPT_SALT_LENGTH), vector.bcryptSalt);
+  });
+}
+
+/*
+ * Builds a passphrase from the bits the way passphrases.json describes it, with BigInt in place of
+ * Passtastic's own big numbers
+ */
+function referencePassphrase(binary, passphrase)
+{
+  var number = BigInt('0b' + binary),
+      words = [],
+      word, digit;
+
+  for(var i = 0; i < passphrase.words; i++) {
+    word = wordlist[Number(number % BigInt(wordlist.length))];
+    number /= BigInt(wordlist.length);
+
+    if(passphrase.capitalize === 'all')
+      word = word.toUpperCase();
+    else if(passphrase.capitalize === 'first')
+      word = word.charAt(0).toUpperCase() + word.substr(1);
+    words.push(word);
+  }
+
+  if(passphrase.digit) {
+    digit = number % BigInt(10);
+    number /= BigInt(10);
+    words[Number(number % BigInt(passphrase.words))] += digit;
+  }
+
+  return words.join(passphrase.separator);
+}
+
+function checkPassphraseVector(vector)
+{
+  var name = 'passphrase v' + vector.version + ' of ' + [vector.site, vector.userName, vector.masterPw].join('|') + ' ' + JSON.stringify(vector.passphrase) + ': ',
+      passphrase;
+
+  attempt(name + '_convertBinaryToPassphrase()', function() {
+    passphrase = Passtastic._normalizePassphrase(vector.passphrase);
+    check(name + '_getPassphraseBinLength()', Passtastic._getPassphraseBinLength(passphrase), vector.binary.length);
+    check(name + '_convertBinaryToPassphrase()', Passtastic._convertBinaryToPassphrase(vector.binary, passphrase), vector.result);
+    check(name + 'BigInt reference', referencePassphrase(vector.binary, passphrase), vector.result);
+  });
+
+  return Passtastic.getPasswordAsync(vector.site, vector.userName, vector.masterPw, { version : vector.version, passphrase : vector.passphrase }).then(function(result) {
+    check(name + 'getPassword()', result, vector.result);
+  }, function(error) {
+    check(name + 'getPassword() (threw ' + error.message + ')', false, true);
+  });
+}
+
+/*
+ * Fills in a template the way templates.json describes it, with BigInt in place of Passtastic's own big numbers
+ */
+function referenceTemplate(binary, template)
+{
+  var number = BigInt('0b' + binary),
+      pins = [],
+      pin;
+
+  if(template.isPin) { //Only for 4 digits, the length of weakPins
+    for(pin = 0; pin < 10000; pin++) {
+      if(templates.weakPins.indexOf(String(pin).padStart(4, '0')) === -1)
+        pins.push(String(pin).padStart(4, '0'));
+    }
+    pin = pins[Number(number % BigInt(pins.length))];
+  }
+
+  return template.parts.map(function(part) {
+    var index;
+
+    if(part.literal !== undefined)
+      return part.literal;
+    if(pin !== undefined) {
+      index = pin.charAt(0);
+      pin = pin.substr(1);
+      return index;
+    }
+
+    index = Number(number % BigInt(part.chars.length));
+    number /= BigInt(part.chars.length);
+    return part.chars.charAt(index);
+  }).join('');
+}
+
+function checkTemplateVector(vector)
+{
+  var name = 'template ' + vector.template + ' v' + vector.version + ' of ' + [vector.site, vector.userName, vector.masterPw].join('|') + ': ',
+      template;
+
+  attempt(name + '_convertBinaryToTemplate()', function() {
+    template = Passtastic._normalizeTemplate(vector.template, Passtastic._normalizeOptions({ version : vector.version }).policy.specialChars);
+    check(name + '_getTemplateBinLength()', Passtastic._getTemplateBinLength(template), vector.binary.length);
+    check(name + '_convertBinaryToTemplate()', Passtastic._convertBinaryToTemplate(vector.binary, template), vector.result);
+    if(!template.isPin || template.classCount === 4)
+      check(name + 'BigInt reference', referenceTemplate(vector.binary, template), vector.result);
+  });
+
+  return Passtastic.getPasswordAsync(vector.site, vector.userName, vector.masterPw, { version : vector.version, template : vector.template }).then(function(result) {
+    check(name + 'getPassword()', result, vector.result);
+  }, function(error) {
+    check(name + 'getPassword() (threw ' + error.message + ')', false, true);
+  });
+}
+
+function checkOptionVector(vector)
+{
+  var options = vector.options,
+      name = vector.name + ' v' + options.version + ' of ' + [vector.site, vector.userName, vector.masterPw].join('|') + ': ';
+
+  return Passtastic.getPasswordAsync(vector.site, vector.userName, vector.masterPw, options).then(function(result) {
+    check(name + 'getPassword()', result, vector.result);
+  }, function(error) {
+    check(name + 'getPassword() (threw ' + error.message + ')', false, true);
+  });
+}
+
+/*
+ * Checks the range of the bcrypt cost. bcrypt does 2^cost rounds, which the JavaScript shift operator
+ * can't count for 31.
+ */
+function checkCostBounds()
+{
+  var INVALID_ARGUMENT = Passtastic.PasstasticError.INVALID_ARGUMENT;
+
+  [4, 30].forEach(function(cost) {
+    attempt('cost ' + cost + ' is accepted', function() {
+      Passtastic._validateCost(cost);
+      check('cost ' + cost + ' is accepted', true, true);
+    });
+  });
+
+  return [3, 31, 10.5, '10'].reduce(function(previous, cost) {
+    return previous.then(function() {
+      return checkRejected('cost ' + JSON.stringify(cost) + ' is rejected',
+                           Passtastic.getPasswordAsync('github.com', 'bob', 'hunter2', { cost : cost }), INVALID_ARGUMENT);
+    });
+  }, Promise.resolve()).then(function() {
+    //bcrypt itself still accepts 31, but must take its time: 2^31 rounds, where the cancelled run gets nowhere near
+    return new Promise(function(resolve) {
+      var crypt = new bCrypt(),
+          isDone = false;
+
+      crypt.hashpw('hunter2', '$2a$31$' + 'AOCSymqW6.OfWeXOPfOhlB', function() {
+        isDone = true;
+      });
+      setTimeout(function() {
+        crypt.cancel();
+        check('bcrypt with cost 31 takes more than 500ms', isDone, false);
+        resolve();
+      }, 500);
+    });
+  });
+}
+
+/*
+ * Checks that a site, user name or master password that isn't a string is rejected as an invalid argument
+ */
+function checkArgumentTypes()
+{
+  var INVALID_ARGUMENT = Passtastic.PasstasticError.INVALID_ARGUMENT;
+
+  [undefined, null, 42].forEach(function(site) {
+    var name = 'getSite(' + String(site) + ') is rejected';
+
+    try {
+      Passtastic.getSite(site, { siteAliases : {} });
+      check(name + ' (returned)', false, true);
+    } catch(error) {
+      check(name, error.code, INVALID_ARGUMENT);
+    }
+  });
+
+  return [[null, 'bob', 'hunter2'], ['github.com', undefined, 'hunter2'], ['github.com', 'bob', 42]].reduce(function(previous, args) {
+    return previous.then(function() {
+      return checkRejected('getPasswordAsync(' + args.map(String).join(', ') + ') is rejected',
+                           Passtastic.getPasswordAsync(args[0], args[1], args[2], {}), INVALID_ARGUMENT);
+    });
+  }, Promise.resolve());
+}
+
+/*
+ * Runs bin/passtastic.js with arguments and stdin, and checks its exit code and output
+ */
+function checkCli(name, args, input, expected)
+{
+  attempt('CLI ' + name, function() {
+    var result = childProcess.spawnSync(process.execPath, [CLI].concat(args), { input : input, encoding : 'utf8' });
+
+    check('CLI ' + name, { status : result.status, stdout : result.stdout, stderr : result.stderr }, expected);
+  });
+}
+
+function checkCliCalls()
+{
+  checkCli('prints the password', ['--site', 'github.com', '--user', 'bob'], 'hunter2\n',
+           { status : 0, stdout : '!AN^u4P+unXjNMd\'\n', stderr : '' });
+  checkCli('refuses an empty master password', ['--site', 'github.com', '--user', 'bob'], '\n',
+           { status : 1, stdout : '', stderr : 'passtastic: No master password was given.\n' });
+  checkCli('refuses a missing master password', ['--site', 'github.com', '--user', 'bob'], '',
+           { status : 1, stdout : '', stderr : 'passtastic: No master password was given.\n' });
+  checkCli('reports invalid options', ['--site', 'github.com', '--user', 'bob', '--length', '3'], 'hunter2\n',
+           { status : 1, stdout : '', stderr : 'passtastic: The password length must be an integer between 4 and 64, but was 3\n' });
+  attempt('CLI usage errors', function() {
+    var result = childProcess.spawnSync(process.execPath, [CLI, '--user', 'bob'], { input : 'hunter2\n', encoding : 'utf8' });
+
+    check('CLI usage errors exit with code 2', [result.status, result.stdout, result.stderr.split('\n')[0]],
+          [2, '', 'passtastic: --site and --user are required.']);
+  });
+}
+
+/*
+ * Checks scrypt.js or argon2.js against a vector of its RFC
+ */
+function checkKdfVector(vector)
+{
+  var params = {}, key;
+
+  for(key in vector.params)
+    params[key] = typeof vector.params[key] === 'string' ? fromHex(vector.params[key]) : vector.params[key];
+
+  return new Promise(function(resolve) {
+    (vector.kdf === 'scrypt' ? scrypt : argon2id)(fromHex(vector.password), fromHex(vector.salt), params, vector.dkLen, function(output) {
+      check(vector.name, sha256.toHex(output), vector.output);
+      resolve();
+    });
+  });
+}
+
+function fromHex(hex)
+{
+  return Array.prototype.slice.call(Buffer.from(hex, 'hex'));
+}
+
+function checkSiteNormalizer()
+{
+  [
+    ['https://user@WWW.GitHub.com:443/login?x#y', 'github.com'],
+    ['news.bbc.co.uk', 'bbc.co.uk'],
+    ['alice.github.io', 'alice.github.io'], //A private suffix
+    ['a.b.foo.ck', 'b.foo.ck'], //The wildcard rule *.ck makes foo.ck a public suffix...
+    ['mail.www.ck', 'www.ck'], //...except for www.ck, by the exception rule !www.ck
+    ['x.city.kawasaki.jp', 'city.kawasaki.jp'],
+    ['www.пример.рф', 'пример.рф'], //IDNs match in their Unicode form
+    ['mail.例子.公司.cn', '例子.公司.cn'],
+    ['mail.xn--fsqu00a.xn--55qx5d.cn', 'xn--55qx5d.cn'], //But not as punycode, which is left as it is
+    ['co.uk', 'co.uk'],
+    ['192.168.0.1', '192.168.0.1'],
+    ['[::1]:8080', '[::1]'],
+    ['localhost', 'localhost']
+  ].forEach(function(test) {
+    attempt('SiteNormalizer.normalize(' + test[0] + ')', function() {
+      check('SiteNormalizer.normalize(' + test[0] + ')', SiteNormalizer.normalize(test[0]), test[1]);
+    });
+  });
+}
+
+/*
+ * Runs the scripts that are only loaded with a script tag in a context of their own, with Passtastic,
+ * sha256, WebCrypto and a localStorage that starts out empty
+ */
+function createBrowserContext(files)
+{
+  var storage = {},
+      context = vm.createContext({
+        Passtastic : Passtastic,
+        sha256 : sha256,
+        crypto : globalThis.crypto,
+        localStorage : {
+          getItem : function(key) {
+            return storage.hasOwnProperty(key) ? storage[key] : null;
+          },
+          setItem : function(key, value) {
+            storage[key] = String(value);
+          }
+        }
+      });
+
+  files.forEach(function(file) {
+    vm.runInContext(fs.readFileSync(path.join(SCRIPTS, file), 'utf8'), context, { filename : file });
+  });
+
+  return context;
+}
+
+/*
+ * Copies a value out of a context of createBrowserContext(), whose objects have prototypes of their own
+ */
+function fromContext(value)
+{
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function checkSiteAliases()
+{
+  var SiteAliases = createBrowserContext(['site-aliases.js']).SiteAliases;
+
+  attempt('SiteAliases', function() {
+    SiteAliases.set(' Old.Example.com ', 'example.org');
+    SiteAliases.set('example.org', 'example.net'); //The alias of example.org moves along
+    SiteAliases.set('mail.example.com', 'old.example.com'); //An alias of an alias gets its site
+    check('SiteAliases flattens chains', fromContext(SiteAliases.getAll()),
+          { 'old.example.com' : 'example.net', 'example.org' : 'example.net', 'mail.example.com' : 'example.net' });
+
+    [['example.net', 'old.example.com'], ['example.net', 'example.net'], ['', 'example.net']].forEach(function(args) {
+      var name = 'SiteAliases.set(' + args.join(', ') + ') is refused';
+
+      try {
+        SiteAliases.set(args[0], args[1]);
+        check(name + ' (accepted)', false, true);
+      } catch(error) {
+        check(name, typeof error, 'string');
+      }
+    });
+    check('SiteAliases keeps the table after refusing', Object.keys(SiteAliases.getAll()).length, 3);
+
+    SiteAliases.remove('EXAMPLE.org');
+    check('SiteAliases.remove()', fromContext(SiteAliases.getAll()), { 'old.example.com' : 'example.net', 'mail.example.com' : 'example.net' });
+  });
+}
+
+function checkProfileStore()
+{
+  var ProfileStore = createBrowserContext(['profile-store.js']).ProfileStore;
+
+  attempt('ProfileStore', function() {
+    ProfileStore.set('github.com', { userName : 'bob', normalizeSite : true, counter : 1, masterPw : 'hunter2', password : 'x' });
+    ProfileStore.set('example.com', { userName : 'carol' }); //As saved before profiles remembered normalizeSite
+    ProfileStore.set('www.example.org', { userName : 'dave', normalizeSite : false });
+    ProfileStore.set('example.org', { userName : 'erin', normalizeSite : false });
+    ProfileStore.set('mail.example.net', { userName : 'frank' });
+
+    check('ProfileStore.set() drops the secrets', Object.keys(ProfileStore.get('github.com')).sort(), ['counter', 'modified', 'normalizeSite', 'userName']);
+    check('ProfileStore.set() adds the modification time', isNaN(Date.parse(ProfileStore.get('github.com').modified)), false);
+
+    [
+      ['www.github.com', 'github.com', 'bob', true], //Found by its domain
+      ['github.com', 'github.com', 'bob', true],
+      ['mail.example.com', 'example.com', 'carol', true], //An old profile under a domain was saved with normalizeSite
+      ['example.com', 'example.com', 'carol', undefined],
+      ['www.example.org', 'example.org', 'dave', false], //The site's own profile comes first
+      ['mail.example.net', 'example.net', 'frank', false], //An old profile under a site that isn't a domain was saved without
+      ['mail.example.org', 'example.org', null, null] //A profile without normalizeSite isn't one of the domain's sites
+    ].forEach(function(test) {
+      var profile = ProfileStore.find(test[0], test[1]);
+
+      check('ProfileStore.find(' + test[0] + ', ' + test[1] + ')', profile && [profile.userName, profile.normalizeSite], test[2] === null ? null : [test[2], test[3]]);
+    });
+  });
+}
+
+function checkProfileSync()
+{
+  var context = createBrowserContext(['profile-store.js', 'profile-sync.js']),
+      ProfileSync = context.ProfileSync,
+      INVALID_ARGUMENT = Passtastic.PasstasticError.INVALID_ARGUMENT,
+      options = { cost : 4, useWorker : false },
+      profiles = {
+        'github.com' : { userName : 'bob', length : 20, counter : 1, cost : 10, normalizeSite : true, modified : '2026-01-01T00:00:00.000Z' },
+        'example.org' : { userName : 'böb', passphrase : { words : 5 }, kdf : 'argon2id', kdfParams : { memory : 1024 } }
+      };
+
+  function plainFile(profiles)
+  {
+    return JSON.stringify({ format : 'passtastic-profiles', version : 1, profiles : profiles });
+  }
+
+  function tamper(text, change)
+  {
+    var file = JSON.parse(text);
+    change(file);
+    return JSON.stringify(file);
+  }
+
+  return ProfileSync.exportProfiles(profiles, 'hunter2', options).then(function(text) {
+    var flipped = function(file) {
+      file.ciphertext = (file.ciphertext.charAt(0) === '0' ? '1' : '0') + file.ciphertext.substr(1);
+    };
+
+    check('ProfileSync encrypts the profiles', [JSON.parse(text).profiles, text.indexOf('github')], [undefined, -1]);
+
+    return ProfileSync.importProfiles(text, 'hunter2', options).then(function(imported) {
+      check('ProfileSync round-trips encrypted profiles', fromContext(imported), profiles);
+    }).then(function() {
+      return checkRejected('ProfileSync refuses a wrong master password', ProfileSync.importProfiles(text, 'hunter3', options), INVALID_ARGUMENT);
+    }).then(function() {
+      return checkRejected('ProfileSync refuses a missing master password', ProfileSync.importProfiles(text, '', options), INVALID_ARGUMENT);
+    }).then(function() {
+      return checkRejected('ProfileSync refuses a modified ciphertext', ProfileSync.importProfiles(tamper(text, flipped), 'hunter2', options), INVALID_ARGUMENT);
+    }).then(function() {
+      return checkRejected('ProfileSync refuses a modified header', ProfileSync.importProfiles(tamper(text, function(file) {
+        file.encryption.cost = 5;
+      }), 'hunter2', options), INVALID_ARGUMENT);
+    }).then(function() {
+      return checkRejected('ProfileSync refuses a file cost above 20', ProfileSync.importProfiles(tamper(text, function(file) {
+        file.encryption.cost = 21;
+      }), 'hunter2', options), INVALID_ARGUMENT, /bcrypt cost/);
+    });
+  }).then(function() {
+    return ProfileSync.importProfiles(plainFile(profiles), null).then(function(imported) {
+      check('ProfileSync round-trips unencrypted profiles', fromContext(imported), profiles);
+    });
+  }).then(function() {
+    return [{ cost : 21 }, { length : 100 }, { userName : 5 }, { modified : 'never' }].reduce(function(previous, profile) {
+      return previous.then(function() {
+        return checkRejected('ProfileSync refuses the profile ' + JSON.stringify(profile), ProfileSync.importProfiles(plainFile({ 'github.com' : profile }), null), INVALID_ARGUMENT);
+      });
+    }, Promise.resolve());
+  }).then(function() {
+    var older = { userName : 'old', modified : 'Fri, 02 Jan 2026 00:00:00 GMT' }, //Compared as a time, not as a string
+        newer = { userName : 'new', modified : '2026-01-03T00:00:00.000Z' },
+        undated = { userName : 'undated' },
+        same = { userName : 'old', modified : '2026-03-01T00:00:00.000Z' };
+
+    //The name, the strategy, the local and the imported profiles, and the user names, added and updated sites of the result
+    [
+      ['keeps the newer profile', 'newer', { a : older, b : newer, c : same }, { a : newer, b : older, c : older, d : undated },
+       { a : 'new', b : 'new', c : 'old', d : 'undated' }, ['d'], ['a']],
+      ['keeps the local profile if one is undated', 'newer', { a : undated }, { a : newer }, { a : 'undated' }, [], []],
+      ['keeps the local profile', 'local', { a : older }, { a : newer }, { a : 'old' }, [], []],
+      ['keeps the imported profile', 'imported', { a : newer }, { a : older }, { a : 'old' }, [], ['a']]
+    ].forEach(function(test) {
+      var name = 'ProfileSync.merge() ' + test[0];
+
+      attempt(name, function() {
+        var result = fromContext(ProfileSync.merge(test[2], test[3], test[1])),
+            userNames = {};
+
+        for(var site in result.profiles)
+          userNames[site] = result.profiles[site].userName;
+
+        check(name, [userNames, result.added, result.updated], [test[4], test[5], test[6]]);
+      });
+    });
+
+    try {
+      ProfileSync.merge({}, {}, 'both');
+      check('ProfileSync.merge() refuses an unknown strategy (accepted)', false, true);
+    } catch(error) {
+      check('ProfileSync.merge() refuses an unknown strategy', error.code, INVALID_ARGUMENT);
+    }
+  });
+}
+
+attempt('build-info.js', function() {
+  check('build.js lists the files of the web app', /"hash": "[0-9a-f]{64}"/.test(pwaBuild.render()), true);
+});
+
+saltVectors.forEach(checkSaltVector);
+
+checkSiteNormalizer();
+checkSiteAliases();
+checkProfileStore();
+
+attempt('_getWeakPins()', function() {
+  check('_getWeakPins()', Passtastic._getWeakPins(4).map(function(pin) {
+    return String(pin).padStart(4, '0');
+  }), templates.weakPins);
+});
+
+passwordVectors.concat(passphraseVectors, templates.vectors, optionVectors).reduce(function(previous, vector) {
+  return previous.then(function() {
+    if(vector.options !== undefined)
+      return checkOptionVector(vector);
+    if(vector.template !== undefined)
+      return checkTemplateVector(vector);
+
+    return vector.passphrase !== undefined ? checkPassphraseVector(vector) : checkPasswordVector(vector);
+  });
+}, Promise.resolve()).then(function() {
+  return kdfVectors.reduce(function(previous, vector) {
+    return previous.then(function() {
+      return checkKdfVector(vector);
+    });
+  }, Promise.resolve());
+}).then(checkProfileSync).then(checkCostBounds).then(checkArgumentTypes).then(checkCliCalls).then(function() {
+  console.log('\n' + (count - failures) + ' of ' + count + ' checks passed');
+  if(failures)
+    process.exitCode = 1;
+});